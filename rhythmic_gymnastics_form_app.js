@@ -5,6 +5,51 @@
 // - On submit: append to Excel, generate .docx, and email it as attachment to WORK_EMAIL
 // - .docx: no "ПРИЛОЖЕНИЕ №1", no date line, no caption "Индивидуальные упражнения"
 // - Mobile-friendly styles
+// - Server-side validation of /submit and /download-docx; errors highlighted inline in the form
+// - Several tournaments: definitions in tournaments.json, form at /t/:slug ("/" = default one)
+// - Submissions live in data/submissions.json (atomic, serialized writes, stable ids);
+//   the Excel workbook is generated from it on download
+// - Organizer dashboard at /admin (password from ADMIN_PASSWORD); /download-excel requires login
+// - /submit is idempotent (Idempotency-Key from the page); mail goes through a durable outbox
+//   with retries and backoff, the client is told whether the mail is sent or still pending
+// - The club gets an HTML confirmation with the .docx and a secret /edit/:token link;
+//   resubmitting from that link replaces the application instead of adding a new one
+// - PDF of the application (pdfkit + DejaVu Serif for Cyrillic): /download-pdf, optional mail attachment
+// - Organizer reports (/admin/reports): start lists by performing rank and birth year with optional
+//   seeded draw, judges list and per-club counts, as .docx and multi-sheet .xlsx
+// - Roster import from .xlsx/.csv (Russian header variants) into the participants table + blank template
+// - Group exercises section (name, rank, apparatus, members) in the form, Excel ("Groups" sheet), .docx and PDF
+// - Entry fees per performing rank and exercise type (+ per-club discounts): live total in the form,
+//   invoice .docx attached to the e-mails, payment status in /admin and in the Excel export
+// - Rank ladder (б/р … КМС) and medical visa (Да/Нет) as dropdowns, birth date as a date field;
+//   per-tournament eligibility rules (birth years per performing rank, no performing below own rank)
+// - Registration window (registration.opens/closes) enforced by the page, /submit and /edit;
+//   optional caps per performing rank / birth year, entries over a cap go to a waitlist
+//   (shown to the club in the confirmation), organizers promote them at /admin/waitlist
+// - Duplicate detection: same club + contacts, same gymnast (name + birth year) in another application;
+//   warned before sending, listed at /admin/conflicts, earlier application can be merged or superseded
+// - JSON API under /api/v1 (Bearer tokens from API_TOKENS): list/fetch/create/update submissions and
+//   participants; signed webhooks (WEBHOOK_URLS, WEBHOOK_SECRET) with retries for created/updated/withdrawn
+// - Abuse protection: per-IP and per-contact rate limits on /submit, /edit and downloads, per-IP limits on
+//   /check, /fees, /import-roster and drafts, failed /admin/login attempts per IP; CORS allow-list
+//   (CORS_ORIGINS), honeypot field and minimum fill time on the page, caps on entries and field lengths;
+//   blocked attempts are logged
+// - Mail transports (MAIL_TRANSPORT): smtp with implicit TLS or STARTTLS (SMTP_SECURE), or local capture —
+//   .eml files / mbox / JSON log under data/mail (only when MAIL_TRANSPORT asks for it); captured messages are
+//   browsable at /dev/mail by a logged-in organizer (not in production)
+// - Application .docx from an organizer's template (docxTemplate) with {{…}} placeholders and repeating
+//   participant/group table rows; the code-built layout stays the default
+// - Russian/English locale layer (MESSAGES): RU | EN switch on the page (?lang=, remembered in a cookie),
+//   validation errors, .docx/PDF, invoice and the club confirmation in the submitter's language (data.lang);
+//   organizer mail, /admin downloads and the Excel export are always in Russian
+// - Draft autosave: the page keeps the club block, participants and groups in localStorage and offers to
+//   restore them; "save draft" stores a server copy under a short code (/drafts, ?draft=CODE) for another device
+//   (data/drafts.json, same size limits as an application, capped in total and per IP)
+// - Judges as a table (name, category ВК/1К/2К/3К/юный судья, contacts), several per application; consolidated
+//   judges report (/admin/reports/judges.docx|.xlsx) with per-category counts and a per-club
+//   "one judge per N gymnasts" check (judging.gymnastsPerJudge); in /api/v1 and webhook payloads `data.judges`
+//   ([{ idx, name, category, contacts }]) replaces `data.judge`/`data.judgeCategory`, which API input still
+//   accepts as a single judge; stored free-text categories outside the list are cleared on migration
 //
 // How to run:
 // 1) npm init -y
@@ -16,82 +61,282 @@
 // .env example:
 // SMTP_HOST=smtp.yourmail.com
 // SMTP_PORT=587
+// SMTP_SECURE=starttls                         (tls = implicit TLS, default on port 465; starttls; none)
 // SMTP_USER=your_login
 // SMTP_PASS=your_app_password
+// MAIL_TRANSPORT=smtp                          (smtp | file | mbox | json; default smtp — local capture only on request)
+// MAIL_DIR=/path/to/mail                       (where file/mbox/json keep messages; default data/mail)
 // FROM_EMAIL="Заявки турнир <noreply@yourmail.com>"
 // WORK_EMAIL=work@yourcompany.com
+// TOURNAMENTS_FILE=/path/to/tournaments.json   (optional, see below)
+// ADMIN_PASSWORD=organizer_password            (without it /admin is disabled)
+// ADMIN_SECRET=random_string                   (cookie signing; random per start if empty)
+// PUBLIC_URL=https://akvarel-rhythmic-form.onrender.com  (for links in e-mails; required with the smtp transport,
+//                                              local capture falls back to http://localhost:PORT)
+// TRUST_PROXY=1                                (behind a reverse proxy such as Render: hops to trust for the client
+//                                              IP and protocol; off by default)
+// MAIL_ATTACH_PDF=1                            (also attach a PDF copy to e-mails)
+// PDF_FONT_DIR=/path/to/fonts                  (TTF files named like DejaVuSerif*.ttf; default from dejavu-fonts-ttf)
+// API_TOKENS=token1,token2                     (Bearer tokens for /api/v1; without them the API is disabled)
+// WEBHOOK_URLS=https://bot.example/hook,...    (POST on submission.created / .updated / .withdrawn)
+// WEBHOOK_SECRET=shared_secret                 (X-Webhook-Signature: sha256=HMAC(timestamp + "." + body))
+// CORS_ORIGINS=https://akvarel.info,...        (other sites allowed to call the form/API from a browser)
+//
+// tournaments.json: array of tournaments, one of them may be marked "default": true
+// { "slug": "akvarel-dance-2025", "name": "Акварель Dance", "subtitle": "на участие в ...",
+//   "city": "г. Мытищи", "venue": "", "date": "2025-10-12",
+//   "translations": { "en": { "name": "Akvarel Dance", "subtitle": "", "city": "Mytishchi", "venue": "" } },
+//                                      // для английской версии; пустые поля — как в русской (subtitle — стандартный)
+//   "registration": { "opens": "2025-09-01", "closes": "2025-10-05" },  // включительно, по времени сервера
+//   "email": "",                       // получатель заявок; пусто = WORK_EMAIL
+//   "exerciseTypes": ["individual"],   // individual | group
+//   "docxTemplate": "templates/akvarel.docx",  // свой бланк заявки (путь от папки tournaments.json), метки см. ниже
+//   "fees": {                          // стартовые взносы; без этого блока счёт не выставляется
+//     "currency": "₽",
+//     "individual": { "default": 1500, "ranks": { "КМС": 2000, "1 разряд": 1800 } },  // за гимнастку
+//     "group": { "default": 1000, "ranks": {} },                                       // за каждую гимнастку группы
+//     "discounts": [ { "club": "Акварель", "percent": 50 } ] },
+//   "payment": { "recipient": "ООО «…»", "inn": "", "kpp": "", "account": "", "bank": "", "bik": "",
+//                "correspondentAccount": "", "purpose": "Стартовый взнос" },  // реквизиты для счёта
+//   "eligibility": {                   // допуск; разряды — как в списке RANKS (или их варианты написания)
+//     "birthYears": { "2 юн.": { "from": 2015, "to": 2016 }, "КМС": { "to": 2012 } },
+//     "noLowerRank": true },           // нельзя выступать ниже имеющегося разряда
+//   "capacity": [                      // лимиты индивидуальных выступлений; сверх лимита — лист ожидания
+//     { "rank": "2 юн.", "limit": 30 },
+//     { "rank": "2 юн.", "birthYear": 2015, "limit": 12 },
+//     { "birthYear": 2016, "limit": 20 } ],
+//   "judging": { "gymnastsPerJudge": 10 } }  // клуб выставляет судью на каждые N гимнасток (проверка в отчёте «Судьи»)
+//
+// docxTemplate: обычный .docx, в тексте которого стоят метки {{…}} (шрифт и оформление берутся с первой буквы метки):
+//   {{tournament.name}} {{tournament.subtitle}} {{tournament.city}} {{tournament.venue}} {{tournament.date}}
+//   {{tournament.place}} {{club}} {{city}} {{contacts}} {{email}} {{coach}} {{judges}} (все судьи построчно)
+//   {{judge}} {{judgeCategory}} (первый судья) {{participants.count}} {{groups.count}} {{judges.count}} {{today}}
+//   Строка таблицы с {{participant.idx}} {{participant.name}} {{participant.birthYear}} {{participant.hasRank}}
+//   {{participant.performingRank}} {{participant.medicalVisa}} повторяется для каждой гимнастки;
+//   строка с {{group.idx}} {{group.name}} {{group.performingRank}} {{group.apparatus}} {{group.members}} — для каждой группы,
+//   строка с {{judge.idx}} {{judge.name}} {{judge.category}} {{judge.contacts}} — для каждого судьи.
+//   Неизвестные метки остаются в документе как есть, чтобы опечатку было видно.
 
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
 const bodyParser = require('body-parser');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
 const ExcelJS = require('exceljs');
 const {
   Document, Packer, Paragraph, TextRun, AlignmentType,
   Table, TableRow, TableCell, WidthType, BorderStyle,
-  TableLayoutType, PageOrientation, ShadingType
+  TableLayoutType, PageOrientation, ShadingType, PageBreak
 } = require('docx');
 // A4 размеры в твипах
 const A4_WIDTH  = 11906;
 const A4_HEIGHT = 16838;
 // Безопасный фикс для layout
 const FIXED_LAYOUT = (TableLayoutType && TableLayoutType.FIXED) || undefined;
+const JSZip = require('jszip');
+const PDFDocument = require('pdfkit');
 const dayjs = require('dayjs');
+require('dayjs/locale/ru');
+dayjs.extend(require('dayjs/plugin/customParseFormat'));
 const nodemailer = require('nodemailer');
 require('dotenv').config();
 
 const app = express();
-app.use(bodyParser.json({ limit: '2mb' }));
+// За прокси (Render) адрес клиента и протокол берутся из X-Forwarded-*; без прокси этим заголовкам
+// верить нельзя — их подделает кто угодно и обойдёт лимиты по IP
+const TRUST_PROXY = (process.env.TRUST_PROXY || '').trim();
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+// Свой сайт (тот же origin или PUBLIC_URL) разрешён всегда; чужие — только из CORS_ORIGINS
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim().replace(/\/+$/, '')).filter(Boolean);
+app.use(cors({
+  origin: (origin, cb) => cb(null, CORS_ORIGINS.includes(origin)),
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-File-Name'],
+  maxAge: 600,
+}));
+app.use(rejectForeignOrigin);
+// заявка на 200 участниц — десятки килобайт; больше присылают только боты
+app.use(bodyParser.json({ limit: '256kb' }));
+app.use(bodyParser.urlencoded({ extended: false }));
 
 // Ensure data directory exists
 const DATA_DIR = path.join(__dirname, 'data');
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
-const EXCEL_PATH = path.join(DATA_DIR, 'submissions.xlsx');
+const TOURNAMENTS_FILE = process.env.TOURNAMENTS_FILE || path.join(__dirname, 'tournaments.json');
+// Файл перечитывается при изменении — новый турнир не требует передеплоя
+let tournamentsCache = { mtime: 0, list: [] };
+
+// Хранилище заявок: один JSON-файл, все записи идут по очереди через mutateStore()
+const STORE_PATH = path.join(DATA_DIR, 'submissions.json');
+let store = null;
+let storeQueue = Promise.resolve();
+
+// Исходящие письма: очередь хранится в том же submissions.json и переживает перезапуск
+const OUTBOX_POLL_MS = 30 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BASE_DELAY_MS = 60 * 1000;       // 1, 2, 4, 8… минут
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;   // но не реже раза в час
+const MAIL_STATUSES = { pending: 'Ожидает отправки', sent: 'Отправлено', failed: 'Не доставлено' };
+const outboxInFlight = new Set();
+let outboxBusy = false;
 
-const LOGIN_EMAIL = process.env.SMTP_USER;                // arena@akvarel.info
+// Вебхуки: такая же очередь с повторами, store.webhooks
+const API_TOKENS = (process.env.API_TOKENS || '').split(',').map((t) => t.trim()).filter(Boolean);
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map((u) => u.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+let webhooksBusy = false;
+let webhooksDue = false;
+
+// Черновики на сервере: короткий код, чтобы начать на телефоне и закончить на ноутбуке.
+// Лежат отдельно от заявок (data/drafts.json): частые сохранения не переписывают submissions.json.
+// Без 0/O и 1/I — код переписывают с экрана; 32 символа, чтобы байт делился без перекоса.
+const DRAFTS_PATH = path.join(DATA_DIR, 'drafts.json');
+const DRAFT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DRAFT_CODE_LENGTH = 8;
+const DRAFT_TTL_DAYS = 30;                    // с последнего сохранения
+const MAX_DRAFTS = 2000;                      // всего действующих черновиков
+const MAX_DRAFTS_PER_IP = 20;                 // новых черновиков с одного адреса (обновлять свой можно всегда)
+let draftStore = { drafts: [] };
+let draftsQueue = Promise.resolve();
+
+// Кабинет организатора
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const ADMIN_SECRET = process.env.ADMIN_SECRET || crypto.randomBytes(32).toString('hex');
+const ADMIN_COOKIE = 'admin_session';
+const ADMIN_SESSION_HOURS = 12;
+const SUBMISSION_STATUSES = {
+  submitted: 'Новая',
+  accepted: 'Принята',
+  rejected: 'Отклонена',
+  withdrawn: 'Отозвана',
+  superseded: 'Заменена',
+};
+// Эти заявки не идут в протоколы, лимиты и проверку повторов и не редактируются по ссылке
+const CLOSED_STATUSES = ['rejected', 'withdrawn', 'superseded'];
+// Вручную (админка, API) ставятся только эти; «Новая» и «Заменена» выставляет само приложение
+const MANUAL_STATUSES = ['accepted', 'rejected', 'withdrawn'];
+const PAYMENT_STATUSES = {
+  unpaid: 'Не оплачено',
+  partial: 'Оплачено частично',
+  paid: 'Оплачено',
+};
+
+const LOGIN_EMAIL = process.env.SMTP_USER || 'noreply@example.com'; // arena@akvarel.info
 const FROM_NAME   = process.env.MAIL_FROM_NAME || 'Заявки Турнир';
 
 // Healthcheck endpoint для keep-alive
 app.get('/health', (req, res) => res.send('ok'));
 
 
-// Mail transport
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: Number(process.env.SMTP_PORT || 465),
-  secure: true,
-  auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
-});
+// Mail transport: smtp — настоящий сервер; file / mbox / json — письма остаются в MAIL_DIR
+// (локальная проверка без SMTP, смотреть на /dev/mail). Без MAIL_TRANSPORT — всегда smtp: если забыть
+// настроить SMTP на сервере, письма останутся неотправленными в очереди, а не «отправятся» в файл.
+const MAIL_TRANSPORTS = ['smtp', 'file', 'mbox', 'json'];
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'smtp').trim().toLowerCase();
+if (!MAIL_TRANSPORTS.includes(MAIL_TRANSPORT)) throw new Error(`MAIL_TRANSPORT must be one of: ${MAIL_TRANSPORTS.join(', ')}`);
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || path.join(DATA_DIR, 'mail'));
+const MBOX_PATH = path.join(MAIL_DIR, 'mail.mbox');
+const MAIL_LOG_PATH = path.join(MAIL_DIR, 'mail.jsonl');
+const transporter = createMailTransport(MAIL_TRANSPORT);
+const DEV_MAIL = MAIL_TRANSPORT !== 'smtp' && process.env.NODE_ENV !== 'production';
+if (MAIL_TRANSPORT !== 'smtp') console.log(`Mail is not sent: ${MAIL_TRANSPORT} transport writes to ${MAIL_DIR}`);
+else if (!process.env.SMTP_HOST) console.warn('SMTP_HOST is not set: mail stays in the outbox (set MAIL_TRANSPORT=file to capture it locally)');
 const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@example.com';
 const WORK_EMAIL = process.env.WORK_EMAIL || 'you@example.com';
+// Ссылки в письмах (в том числе секретная ссылка на изменение заявки) — только от PUBLIC_URL:
+// заголовку Host из запроса верить нельзя, его подставляет клиент
+const PUBLIC_URL = (process.env.PUBLIC_URL || (MAIL_TRANSPORT === 'smtp' ? '' : `http://localhost:${process.env.PORT || 3000}`))
+  .replace(/\/+$/, '');
+if (!PUBLIC_URL) throw new Error('PUBLIC_URL is required when mail goes out over SMTP (links in e-mails are built from it)');
+const MAIL_ATTACH_PDF = /^(1|true|yes)$/i.test(process.env.MAIL_ATTACH_PDF || '');
+
+// PDF: стандартные шрифты pdfkit не умеют кириллицу, берём TTF
+const PDF_FONT_DIR = process.env.PDF_FONT_DIR || path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const PDF_FONTS = {
+  regular: path.join(PDF_FONT_DIR, 'DejaVuSerif.ttf'),
+  bold: path.join(PDF_FONT_DIR, 'DejaVuSerif-Bold.ttf'),
+  italic: path.join(PDF_FONT_DIR, 'DejaVuSerif-Italic.ttf'),
+  boldItalic: path.join(PDF_FONT_DIR, 'DejaVuSerif-BoldItalic.ttf'),
+};
+
+// Защита от злоупотреблений: лимиты на IP и на контакт заявки (телефон/почта) с этого IP за окно.
+// Только контакт ключом быть не может: его вписывает сам отправитель и так заблокировал бы чужой клуб.
+const RATE_WINDOW_MS = 15 * 60 * 1000;
+const submitLimits = [rateLimiter('submit', 'ip', 20), rateLimiter('submit', 'contact', 10)];
+const downloadLimits = [rateLimiter('download', 'ip', 60), rateLimiter('download', 'contact', 30)];
+// и на сохранение, и на поиск по коду — чтобы коды не перебирали
+const draftLimits = [rateLimiter('draft', 'ip', 60)];
+const checkLimits = [rateLimiter('check', 'ip', 60)];
+// сумма взноса пересчитывается на ходу при заполнении формы — лимит с запасом
+const feeLimits = [rateLimiter('fees', 'ip', 600)];
+const importLimits = [rateLimiter('import', 'ip', 30)];
+// перебор пароля организатора: считаются только неудачные попытки
+const ADMIN_LOGIN_ATTEMPTS = 10;
+// Страница заявки: скрытое поле-ловушка и минимальное время заполнения
+const HONEYPOT_FIELD = 'website';
+const MIN_FILL_MS = 5 * 1000;
+
+// Все маршруты формы доступны как /t/:slug/...; без префикса — турнир по умолчанию
+const routes = (p) => [p, `/t/:slug${p === '/' ? '' : p}`];
 
 // Serve page
-app.get('/', (_req, res) => {
+app.get(routes('/'), withTournament, (req, res) => {
+  rememberLang(req, res);
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.end(getHtml());
+  res.end(getHtml(req.tournament, { lang: requestLang(req) }));
 });
 
-// Submit: write to Excel, build docx, email it
-app.post('/submit', async (req, res) => {
+// Submit: save once (keyed by Idempotency-Key), queue the mail and try to send it right away
+app.post(routes('/submit'), withTournament, requireRegistrationOpen, ...submitLimits, spamGuard, async (req, res) => {
+  let submission;
   try {
     const payload = sanitizeSubmission(req.body);
-    await appendToExcel(payload);
-    const buffer = await buildDocx(payload);
-    await emailDocx(payload, buffer);
-    res.json({ ok: true });
+    const errors = validateSubmission(payload, req.tournament);
+    if (errors.length) return rejectInvalid(res, errors, payload.lang);
+    submission = await createSubmission(payload, req.tournament, idempotencyKey(req));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ ok: false, error: tr(requestLang(req), 'errors.saveFailed') });
+  }
+  await respondSaved(res, submission);
+});
+
+// Edit: the secret link from the confirmation e-mail reopens the application
+app.get('/edit/:token', withEditableSubmission, (req, res) => {
+  const { submission } = req;
+  rememberLang(req, res);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.end(getHtml(submissionTournament(submission), {
+    edit: { token: req.params.token, createdAt: submission.createdAt, data: submission.data },
+    lang: requestLang(req, submission.data.lang),
+  }));
+});
+
+app.post('/edit/:token', withEditableSubmission, requireRegistrationOpen, ...submitLimits, spamGuard, async (req, res) => {
+  let submission;
+  try {
+    const payload = sanitizeSubmission(req.body);
+    const errors = validateSubmission(payload, submissionTournament(req.submission));
+    if (errors.length) return rejectInvalid(res, errors, payload.lang);
+    submission = await reviseSubmission(req.submission.id, payload, idempotencyKey(req));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ ok: false, error: 'Не удалось сохранить и/или отправить письмо' });
+    return res.status(500).json({ ok: false, error: tr(requestLang(req), 'errors.saveFailed') });
   }
+  await respondSaved(res, submission);
 });
 
 // Download .docx
-app.post('/download-docx', async (req, res) => {
+app.post(routes('/download-docx'), withTournament, ...downloadLimits, async (req, res) => {
   try {
     const payload = sanitizeSubmission(req.body);
-    const buffer = await buildDocx(payload);
-    const safeName = fileSafe(payload.club || 'Заявка');
-    const fileName = `Заявка_${safeName}.docx`;
+    const errors = validateSubmission(payload, req.tournament);
+    if (errors.length) return rejectInvalid(res, errors, payload.lang);
+    const buffer = await buildDocx(payload, req.tournament);
+    const fileName = `${documentFileName(payload)}.docx`;
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
     res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
     res.end(Buffer.from(buffer));
@@ -101,128 +346,2583 @@ app.post('/download-docx', async (req, res) => {
   }
 });
 
-// (Optional) Download consolidated Excel
-app.get('/download-excel', async (_req, res) => {
+// Live fee total for the form (no validation: the table may be half-filled)
+app.post(routes('/fees'), withTournament, ...feeLimits, (req, res) => {
+  res.json({ ok: true, fee: calculateFees(sanitizeSubmission(req.body), req.tournament) });
+});
+
+// Duplicate check before sending: same club/contacts or the same gymnast in another application
+app.post(routes('/check'), withTournament, ...checkLimits, (req, res) => {
+  const conflicts = findConflicts(sanitizeSubmission(req.body), req.tournament);
+  res.json({ ok: true, warnings: conflictWarnings(conflicts, requestLang(req)) });
+});
+
+app.post('/edit/:token/check', withEditableSubmission, ...checkLimits, (req, res) => {
+  const conflicts = findConflicts(sanitizeSubmission(req.body), submissionTournament(req.submission), req.submission.id);
+  res.json({ ok: true, warnings: conflictWarnings(conflicts, requestLang(req)) });
+});
+
+// Drafts: the page keeps its own copy in localStorage; a server draft under a short code
+// moves the unfinished form to another device. No validation — the form may be half-filled.
+app.post(routes('/drafts'), withTournament, ...draftLimits, async (req, res) => {
+  try {
+    const data = sanitizeSubmission(req.body);
+    // обязательные поля не проверяем, а размеры — как у заявки
+    const errors = sizeErrors(data);
+    if (errors.length) return rejectInvalid(res, errors, data.lang);
+    const draft = await saveDraft(normalizeDraftCode(req.body.draftCode), data, req.tournament, draftOwner(req));
+    if (!draft) {
+      logBlocked(req, 'draft limit');
+      return res.status(429).json({ ok: false, error: tr(requestLang(req), 'errors.draftLimit') });
+    }
+    res.json({
+      ok: true, code: draft.code, expiresAt: draftExpiresAt(draft),
+      url: `${PUBLIC_URL}/t/${encodeURIComponent(req.tournament.slug)}?draft=${draft.code}`,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: tr(requestLang(req), 'errors.draftFailed') });
+  }
+});
+
+app.get(routes('/drafts/:code'), withTournament, ...draftLimits, (req, res) => {
+  const draft = findDraft(normalizeDraftCode(req.params.code), req.tournament);
+  if (!draft) return res.status(404).json({ ok: false, error: tr(requestLang(req), 'errors.draftNotFound', { days: DRAFT_TTL_DAYS }) });
+  res.json({ ok: true, code: draft.code, data: draft.data, updatedAt: draft.updatedAt, expiresAt: draftExpiresAt(draft) });
+});
+
+// После отправки заявки черновик больше не нужен — не держим чужие персональные данные
+app.delete(routes('/drafts/:code'), withTournament, ...draftLimits, async (req, res) => {
+  const code = normalizeDraftCode(req.params.code);
+  try {
+    await mutateDrafts((db) => { db.drafts = db.drafts.filter((d) => !(d.code === code && d.tournament === req.tournament.slug)); });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: tr(requestLang(req), 'errors.draftFailed') });
+  }
+});
+
+// Roster import: the page sends the file as-is, we map its columns onto the participants table
+app.post(routes('/import-roster'), withTournament, ...importLimits, bodyParser.raw({ type: () => true, limit: '2mb' }), async (req, res) => {
+  const lang = requestLang(req);
+  try {
+    const fileName = decodeURIComponent(String(req.get('X-File-Name') || ''));
+    if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ ok: false, error: tr(lang, 'roster.empty') });
+    const rows = await readRosterRows(req.body, fileName);
+    res.json({ ok: true, ...mapRoster(rows, lang) });
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ ok: false, error: tr(lang, 'roster.unreadable') });
+  }
+});
+
+// Blank roster template in the same column layout as the participants table
+app.get(routes('/roster-template.xlsx'), withTournament, async (req, res) => {
+  const lang = requestLang(req);
+  try {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet(tr(lang, 'roster.sheet'));
+    // заголовки — как в таблице формы на языке страницы; импорт понимает оба варианта
+    ws.columns = ROSTER_TEMPLATE_COLUMNS.map((c) => ({ ...c, header: c.key === 'idx' ? tr(lang, 'roster.idx') : tr(lang, `doc.${c.key}`) }));
+    ws.getRow(1).font = { bold: true };
+    // выпадающие списки — те же значения, что и в форме
+    const list = (values) => ({ type: 'list', allowBlank: true, formulae: [`"${values.join(',')}"`] });
+    const last = ROSTER_MAX_ROWS + 1;
+    ws.dataValidations.add(`D2:E${last}`, list(RANKS.map((r) => r.value)));
+    ws.dataValidations.add(`F2:F${last}`, list(MEDICAL_VISAS));
+    const buffer = await wb.xlsx.writeBuffer();
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(tr(lang, 'roster.fileName'))}`);
+    res.end(Buffer.from(buffer));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to build template' });
+  }
+});
+
+// Download PDF
+app.post(routes('/download-pdf'), withTournament, ...downloadLimits, async (req, res) => {
+  try {
+    const payload = sanitizeSubmission(req.body);
+    const errors = validateSubmission(payload, req.tournament);
+    if (errors.length) return rejectInvalid(res, errors, payload.lang);
+    const buffer = await buildPdf(payload, req.tournament);
+    const fileName = `${documentFileName(payload)}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.end(buffer);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to generate PDF' });
+  }
+});
+
+// Download consolidated Excel (organizers only)
+app.get(routes('/download-excel'), requireAdmin, withTournament, async (req, res) => {
   try {
-    if (!fs.existsSync(EXCEL_PATH)) await ensureWorkbook();
+    const buffer = await buildExcel(req.tournament);
+    const fileName = `submissions-${fileSafe(req.tournament.slug)}.xlsx`;
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent('submissions.xlsx')}`);
-    fs.createReadStream(EXCEL_PATH).pipe(res);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.end(Buffer.from(buffer));
   } catch (err) {
     console.error(err);
     res.status(500).json({ ok: false, error: 'Failed to download Excel' });
   }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Running on http://localhost:${PORT}`));
+// ------------------------ JSON API ------------------------
+// Для программы подсчёта и бота: тот же sanitizeSubmission/validateSubmission, что и у формы.
+// Окно приёма заявок здесь не проверяется — API пользуются организаторы.
+app.get('/api/v1/submissions', requireApiToken, (req, res) => {
+  const tournament = req.query.t ? findTournament(String(req.query.t)) : null;
+  if (req.query.t && !tournament) return res.status(404).json({ ok: false, error: 'Турнир не найден' });
+  const status = String(req.query.status || '');
+  const since = String(req.query.updatedSince || '');
+  const list = listSubmissions(tournament)
+    .filter((s) => (!status || (s.status || 'submitted') === status) && (!since || s.updatedAt > since));
+  res.json({ ok: true, submissions: list.map(apiSubmission) });
+});
 
-// ------------------------ Helpers ------------------------
-function sanitizeSubmission(b) {
+app.get('/api/v1/submissions/:id', requireApiToken, withSubmission, (req, res) => {
+  res.json({ ok: true, submission: apiSubmission(req.submission) });
+});
+
+app.post('/api/v1/submissions', requireApiToken, async (req, res) => {
+  const tournament = findTournament(String(req.query.t || (req.body && req.body.tournament) || ''));
+  if (!tournament) return res.status(404).json({ ok: false, error: 'Турнир не найден' });
+  try {
+    const payload = sanitizeSubmission(req.body);
+    const errors = validateSubmission(payload, tournament);
+    if (errors.length) return rejectInvalid(res, errors);
+    const submission = await createSubmission(payload, tournament, idempotencyKey(req));
+    res.status(201).json({ ok: true, submission: apiSubmission(submission) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Не удалось сохранить заявку' });
+  }
+});
+
+// { data: {...частично}, status, payment: { status } } — любое сочетание полей
+app.patch('/api/v1/submissions/:id', requireApiToken, withSubmission, async (req, res) => {
+  const body = req.body || {};
+  const status = body.status == null ? null : String(body.status);
+  const payment = body.payment && body.payment.status != null ? String(body.payment.status) : null;
+  if (status && !MANUAL_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: 'Unknown status' });
+  if (payment && !PAYMENT_STATUSES[payment]) return res.status(400).json({ ok: false, error: 'Unknown payment status' });
+  const now = new Date().toISOString();
+  const patch = {};
+  if (status) patch.status = status;
+  if (payment) patch.payment = { status: payment, updatedAt: now, paidAt: payment === 'paid' ? now : null };
+  if (body.data && typeof body.data === 'object') {
+    // данные и статус — одной записью: одна версия и один вебхук
+    const done = await apiReviseData(req, res, (data) => { mergeApiData(data, body.data); }, patch);
+    if (done) res.json({ ok: true, submission: apiSubmission(done) });
+    return;
+  }
+  try {
+    const submission = Object.keys(patch).length ? await updateSubmission(req.submission.id, patch) : getSubmission(req.submission.id);
+    res.json({ ok: true, submission: apiSubmission(submission) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to update submission' });
+  }
+});
+
+app.get('/api/v1/submissions/:id/participants', requireApiToken, withSubmission, (req, res) => {
+  res.json({ ok: true, participants: req.submission.data.participants });
+});
+
+app.post('/api/v1/submissions/:id/participants', requireApiToken, withSubmission, async (req, res) => {
+  const done = await apiReviseData(req, res, (data) => { data.participants.push(req.body || {}); });
+  if (done) res.status(201).json({ ok: true, submission: apiSubmission(done) });
+});
+
+app.patch('/api/v1/submissions/:id/participants/:idx', requireApiToken, withSubmission, async (req, res) => {
+  const done = await apiReviseData(req, res, (data) => {
+    const p = data.participants.find((x) => x.idx === Number(req.params.idx));
+    return p ? Object.assign(p, req.body || {}) : false;
+  });
+  if (done) res.json({ ok: true, submission: apiSubmission(done) });
+});
+
+app.delete('/api/v1/submissions/:id/participants/:idx', requireApiToken, withSubmission, async (req, res) => {
+  const done = await apiReviseData(req, res, (data) => {
+    const i = data.participants.findIndex((x) => x.idx === Number(req.params.idx));
+    return i >= 0 ? data.participants.splice(i, 1) : false;
+  });
+  if (done) res.json({ ok: true, submission: apiSubmission(done) });
+});
+
+// ------------------------ Admin routes ------------------------
+app.get('/admin/login', (req, res) => {
+  sendHtml(res, getAdminLoginHtml({ next: safeNext(req.query.next) }));
+});
+
+app.post('/admin/login', adminLoginLimit(), (req, res) => {
+  const next = safeNext(req.body.next);
+  if (!ADMIN_PASSWORD) return sendHtml(res.status(503), getAdminLoginHtml({ next, error: 'Вход не настроен: задайте ADMIN_PASSWORD' }));
+  if (!safeEqual(String(req.body.password || ''), ADMIN_PASSWORD)) {
+    console.warn(`Admin login failed from ${req.ip}`);
+    return sendHtml(res.status(401), getAdminLoginHtml({ next, error: 'Неверный пароль' }));
+  }
+  res.setHeader('Set-Cookie', adminCookie(signAdminSession(), ADMIN_SESSION_HOURS * 3600));
+  res.redirect(303, next);
+});
+
+app.post('/admin/logout', (_req, res) => {
+  res.setHeader('Set-Cookie', adminCookie('', 0));
+  res.redirect(303, '/admin/login');
+});
+
+app.get('/admin', requireAdmin, (req, res) => {
+  sendHtml(res, getAdminListHtml(req.query));
+});
+
+app.get('/admin/waitlist', requireAdmin, (req, res) => {
+  sendHtml(res, getAdminWaitlistHtml(req.query));
+});
+
+app.get('/admin/conflicts', requireAdmin, (req, res) => {
+  sendHtml(res, getAdminConflictsHtml(req.query));
+});
+
+app.get('/admin/reports', requireAdmin, (req, res) => {
+  sendHtml(res, getAdminReportsHtml());
+});
+
+// Стартовые протоколы, судьи и сводка по клубам: ?t=slug&shuffle=1&seed=123
+app.get('/admin/reports/start-lists.:format(docx|xlsx)', requireAdmin, async (req, res) => {
+  const tournament = findTournament(String(req.query.t || ''));
+  if (!tournament) return res.status(404).json({ ok: false, error: 'Турнир не найден' });
+  try {
+    const report = buildReport(tournament, { shuffle: req.query.shuffle === '1', seed: Number(req.query.seed) || 0 });
+    const isDocx = req.params.format === 'docx';
+    const buffer = isDocx ? await buildReportDocx(report) : await buildReportExcel(report);
+    const fileName = `Стартовые_протоколы_${fileSafe(tournament.name)}.${req.params.format}`;
+    res.setHeader('Content-Type', isDocx
+      ? 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.end(Buffer.from(buffer));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to build report' });
+  }
+});
+
+// Сводный список судей и проверка клубов: ?t=slug&perJudge=10 (по умолчанию — judging.gymnastsPerJudge турнира)
+app.get('/admin/reports/judges.:format(docx|xlsx)', requireAdmin, async (req, res) => {
+  const tournament = findTournament(String(req.query.t || ''));
+  if (!tournament) return res.status(404).json({ ok: false, error: 'Турнир не найден' });
+  try {
+    const perJudge = req.query.perJudge ? positiveInt(req.query.perJudge) : tournament.judging.gymnastsPerJudge;
+    const report = buildJudgesReport(tournament, { perJudge });
+    const isDocx = req.params.format === 'docx';
+    const buffer = isDocx ? await buildJudgesReportDocx(report) : await buildJudgesReportExcel(report);
+    const fileName = `Судьи_${fileSafe(tournament.name)}.${req.params.format}`;
+    res.setHeader('Content-Type', isDocx
+      ? 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.end(Buffer.from(buffer));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to build report' });
+  }
+});
+
+app.get('/admin/submissions/:id', requireAdmin, withSubmission, (req, res) => {
+  sendHtml(res, getAdminDetailHtml(req.submission, req.query.msg));
+});
+
+app.get('/admin/submissions/:id/docx', requireAdmin, withSubmission, async (req, res) => {
+  try {
+    const data = organizerData(req.submission.data);
+    const buffer = await buildDocx(data, submissionTournament(req.submission));
+    const fileName = `${documentFileName(data)}.docx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.end(Buffer.from(buffer));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to generate DOCX' });
+  }
+});
+
+app.get('/admin/submissions/:id/pdf', requireAdmin, withSubmission, async (req, res) => {
+  try {
+    const data = organizerData(req.submission.data);
+    const buffer = await buildPdf(data, submissionTournament(req.submission));
+    const fileName = `${documentFileName(data)}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.end(buffer);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to generate PDF' });
+  }
+});
+
+app.get('/admin/submissions/:id/invoice.docx', requireAdmin, withSubmission, async (req, res) => {
+  try {
+    const buffer = await buildSubmissionInvoice(req.submission);
+    if (!buffer) return res.status(404).json({ ok: false, error: 'Для турнира не заданы взносы' });
+    const fileName = `Счёт_${invoiceNumber(req.submission)}_${fileSafe(req.submission.data.club || 'Заявка')}.docx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.end(Buffer.from(buffer));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to generate invoice' });
+  }
+});
+
+app.post('/admin/submissions/:id/resend', requireAdmin, withSubmission, async (req, res) => {
+  const back = `/admin/submissions/${encodeURIComponent(req.submission.id)}`;
+  try {
+    const type = req.body.type === 'confirmation' ? 'confirmation' : 'organizer';
+    const job = await mutateStore((db) => requeueMail(db, req.submission.id, type));
+    const done = await deliverMailJob(job.id);
+    const msg = done && done.status === 'sent' ? 'Письмо отправлено повторно' : 'Отправить сразу не удалось — письмо в очереди';
+    res.redirect(303, `${back}?msg=${encodeURIComponent(msg)}`);
+  } catch (err) {
+    console.error(err);
+    res.redirect(303, `${back}?msg=${encodeURIComponent('Не удалось поставить письмо в очередь')}`);
+  }
+});
+
+app.post('/admin/submissions/:id/status', requireAdmin, withSubmission, async (req, res) => {
+  const status = String(req.body.status || '');
+  if (!MANUAL_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: 'Unknown status' });
+  try {
+    await updateSubmission(req.submission.id, { status });
+    res.redirect(303, `/admin/submissions/${encodeURIComponent(req.submission.id)}?msg=${encodeURIComponent('Статус: ' + SUBMISSION_STATUSES[status])}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to update submission' });
+  }
+});
+
+// Прежняя заявка того же клуба: supersede — просто заменить этой, merge — сначала перенести
+// в эту недостающих гимнасток и группы. Прежняя получает статус «Заменена».
+app.post('/admin/submissions/:id/:action(supersede|merge)', requireAdmin, withSubmission, async (req, res) => {
+  const back = `/admin/submissions/${encodeURIComponent(req.submission.id)}`;
+  const other = getSubmission(String(req.body.other || ''));
+  if (!other || other.id === req.submission.id || !isActive(other)) {
+    return res.redirect(303, `${back}?msg=${encodeURIComponent('Прежняя заявка не найдена или уже закрыта')}`);
+  }
+  try {
+    const added = await mutateStore((db) => {
+      const s = db.submissions.find((x) => x.id === req.submission.id);
+      const old = db.submissions.find((x) => x.id === other.id);
+      const previous = s.data.participants.map((p) => ({ ...p }));
+      const count = req.params.action === 'merge' ? mergeSubmissionData(s, old) : 0;
+      const now = new Date().toISOString();
+      Object.assign(old, { status: 'superseded', supersededBy: s.id, updatedAt: now });
+      if (count) {
+        // перенесённые гимнастки проходят лимиты заново: места прежней заявки уже освобождены
+        allocateEntries(db, s, submissionTournament(s), previous);
+        s.fee = calculateFees(s.data, submissionTournament(s));
+      }
+      s.updatedAt = now;
+      enqueueWebhooks(db, 'submission.withdrawn', old);
+      if (count) enqueueWebhooks(db, 'submission.updated', s);
+      return count;
+    });
+    const msg = req.params.action === 'merge'
+      ? `Заявки объединены, перенесено записей: ${added}. Прежняя заявка заменена`
+      : 'Прежняя заявка заменена этой';
+    res.redirect(303, `${back}?msg=${encodeURIComponent(msg)}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to update submission' });
+  }
+});
+
+// Перевести гимнастку из листа ожидания в основной состав; клубу уходит новое подтверждение
+app.post('/admin/submissions/:id/promote', requireAdmin, withSubmission, async (req, res) => {
+  const idx = Number(req.body.idx);
+  const back = String(req.body.back || '') === 'waitlist'
+    ? `/admin/waitlist?t=${encodeURIComponent(req.submission.tournament)}`
+    : `/admin/submissions/${encodeURIComponent(req.submission.id)}`;
+  const sep = back.includes('?') ? '&' : '?';
+  try {
+    const result = await mutateStore((db) => {
+      const s = db.submissions.find((x) => x.id === req.submission.id);
+      const p = s.data.participants.find((x) => x.idx === idx);
+      if (!p || !p.waitlisted) return null;
+      delete p.waitlisted;
+      s.fee = calculateFees(s.data, submissionTournament(s));
+      s.updatedAt = new Date().toISOString();
+      enqueueWebhooks(db, 'submission.updated', s);
+      return { name: p.name, job: clubEmail(s.data) ? requeueMail(db, s.id, 'confirmation') : null };
+    });
+    if (!result) return res.redirect(303, `${back}${sep}msg=${encodeURIComponent('Гимнастка не в листе ожидания')}`);
+    if (result.job) await deliverMailJob(result.job.id);
+    res.redirect(303, `${back}${sep}msg=${encodeURIComponent(`${result.name}: переведена в основной состав`)}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to update submission' });
+  }
+});
+
+app.post('/admin/submissions/:id/payment', requireAdmin, withSubmission, async (req, res) => {
+  const status = String(req.body.status || '');
+  if (!PAYMENT_STATUSES[status]) return res.status(400).json({ ok: false, error: 'Unknown payment status' });
+  try {
+    const now = new Date().toISOString();
+    await updateSubmission(req.submission.id, { payment: { status, updatedAt: now, paidAt: status === 'paid' ? now : null } });
+    res.redirect(303, `/admin/submissions/${encodeURIComponent(req.submission.id)}?msg=${encodeURIComponent('Оплата: ' + PAYMENT_STATUSES[status])}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Failed to update submission' });
+  }
+});
+
+// ------------------------ Dev mail ------------------------
+// Письма, сохранённые локальным транспортом; в production и при MAIL_TRANSPORT=smtp страниц нет.
+// В письмах ссылки на изменение заявок и данные гимнасток — только для организаторов.
+app.get('/dev/mail', requireDevMail, requireAdmin, (req, res) => {
+  res.send(getDevMailListHtml(listCapturedMail()));
+});
+
+app.get('/dev/mail/:id', requireDevMail, requireAdmin, withCapturedMail, (req, res) => {
+  res.send(getDevMailMessageHtml(req.mail));
+});
+
+// HTML-версия письма отдаётся отдельно, страница показывает её в изолированном iframe
+app.get('/dev/mail/:id/html', requireDevMail, requireAdmin, withCapturedMail, (req, res) => {
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+  res.type('html').send(req.mail.html || '');
+});
+
+app.get('/dev/mail/:id/attachments/:n', requireDevMail, requireAdmin, withCapturedMail, (req, res) => {
+  const file = req.mail.attachments[Number(req.params.n)];
+  if (!file) return res.status(404).send('Attachment not found');
+  res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.filename)}`);
+  res.send(file.content);
+});
+
+function requireDevMail(req, res, next) {
+  if (!DEV_MAIL) return res.status(404).send('Not found');
+  next();
+}
+
+function withCapturedMail(req, res, next) {
+  const mail = listCapturedMail().find((m) => m.id === req.params.id);
+  if (!mail) return res.status(404).send('Message not found');
+  req.mail = mail;
+  next();
+}
+
+// ------------------------ Tournaments ------------------------
+const EXERCISE_TYPES = {
+  individual: 'Индивидуальные упражнения',
+  group: 'Групповые упражнения',
+};
+
+function loadTournaments() {
+  let stat;
+  try { stat = fs.statSync(TOURNAMENTS_FILE); } catch { return tournamentsCache.list; }
+  if (stat.mtimeMs !== tournamentsCache.mtime) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(TOURNAMENTS_FILE, 'utf8'));
+      tournamentsCache = { mtime: stat.mtimeMs, list: (Array.isArray(raw) ? raw : []).map(normalizeTournament) };
+    } catch (err) {
+      // битый файл не должен ронять форму — остаёмся на прошлой версии
+      console.error(`Failed to read ${TOURNAMENTS_FILE}:`, err.message);
+    }
+  }
+  return tournamentsCache.list;
+}
+
+function normalizeTournament(t) {
   const pick = (v) => (v == null ? '' : String(v).trim());
+  const reg = t.registration || {};
+  const types = (Array.isArray(t.exerciseTypes) ? t.exerciseTypes : ['individual']).filter((x) => EXERCISE_TYPES[x]);
   return {
-    date: pick(b.date) || dayjs().format('DD.MM.YYYY'),
-    city: pick(b.city),
-    club: pick(b.club),
-    contacts: pick(b.contacts),
-    coach: pick(b.coach),
-    judge: pick(b.judge),
-    judgeCategory: pick(b.judgeCategory),
-    participants: Array.isArray(b.participants)
-      ? b.participants.map((p, i) => ({
-          idx: i + 1,
-          name: pick(p.name),
-          birthYear: pick(p.birthYear),
-          hasRank: pick(p.hasRank),
-          performingRank: pick(p.performingRank),
-          medicalVisa: pick(p.medicalVisa),
-        }))
-      : [],
+    slug: pick(t.slug),
+    default: !!t.default,
+    name: pick(t.name),
+    subtitle: pick(t.subtitle) || 'на участие в открытом турнире по художественной гимнастике',
+    city: pick(t.city),
+    venue: pick(t.venue),
+    date: pick(t.date),
+    registration: { opens: pick(reg.opens), closes: pick(reg.closes) },
+    email: pick(t.email),
+    exerciseTypes: types.length ? types : ['individual'],
+    docxTemplate: pick(t.docxTemplate) ? path.resolve(path.dirname(TOURNAMENTS_FILE), pick(t.docxTemplate)) : '',
+    translations: Object.fromEntries(LANGS.filter((l) => l !== DEFAULT_LANG && t.translations && t.translations[l])
+      .map((l) => [l, Object.fromEntries(['name', 'subtitle', 'city', 'venue'].map((k) => [k, pick(t.translations[l][k])]))])),
+    fees: normalizeFees(t.fees),
+    payment: t.payment && typeof t.payment === 'object'
+      ? Object.fromEntries(['recipient', 'inn', 'kpp', 'account', 'bank', 'bik', 'correspondentAccount', 'purpose'].map((k) => [k, pick(t.payment[k])]))
+      : null,
+    eligibility: normalizeEligibility(t.eligibility),
+    capacity: (Array.isArray(t.capacity) ? t.capacity : [])
+      .map((c) => ({
+        rank: c && c.rank ? canonicalRank(String(c.rank)) : '',
+        birthYear: Number.isInteger(Number(c && c.birthYear)) && Number(c.birthYear) > 0 ? Number(c.birthYear) : null,
+        limit: Math.max(0, Math.floor(Number(c && c.limit))),
+      }))
+      .filter((c) => (c.rank || c.birthYear) && Number.isFinite(c.limit)),
+    judging: { gymnastsPerJudge: positiveInt(t.judging && t.judging.gymnastsPerJudge) },
   };
 }
 
-function fileSafe(name) {
-  return name.replace(/[\\/:*?"<>|\n\r]+/g, '_').replace(/\s+/g, ' ').trim();
+function positiveInt(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
 }
 
-async function ensureWorkbook() {
-  const wb = new ExcelJS.Workbook();
-  const ws = wb.addWorksheet('Submissions');
-  ws.columns = [
-    { header: 'Timestamp', key: 'ts', width: 20 },
-    { header: 'Date (on form)', key: 'date', width: 16 },
-    { header: 'City', key: 'city', width: 16 },
-    { header: 'Club/School', key: 'club', width: 32 },
-    { header: 'Contacts', key: 'contacts', width: 32 },
-    { header: 'Coach (FIO)', key: 'coach', width: 28 },
-    { header: 'Judge (FIO)', key: 'judge', width: 28 },
-    { header: 'Judge Category', key: 'judgeCategory', width: 18 },
-    { header: 'Participant #', key: 'p_idx', width: 12 },
-    { header: 'Participant Name', key: 'p_name', width: 28 },
-    { header: 'Birth Year', key: 'p_birth', width: 12 },
-    { header: 'Has Rank', key: 'p_has', width: 14 },
-    { header: 'Performing Rank', key: 'p_perf', width: 16 },
-    { header: 'Medical Visa', key: 'p_med', width: 16 },
-  ];
-  await wb.xlsx.writeFile(EXCEL_PATH);
+function normalizeEligibility(e) {
+  if (!e || typeof e !== 'object') return null;
+  const year = (v) => (Number.isInteger(Number(v)) && Number(v) > 0 ? Number(v) : null);
+  return {
+    birthYears: Object.fromEntries(Object.entries(e.birthYears || {})
+      .map(([rank, r]) => [rankKey(rank), { from: year(r && r.from), to: year(r && r.to) }])),
+    noLowerRank: !!e.noLowerRank,
+  };
 }
 
-async function appendToExcel(payload) {
-  const wb = new ExcelJS.Workbook();
-  if (fs.existsSync(EXCEL_PATH)) {
-    await wb.xlsx.readFile(EXCEL_PATH);
-  } else {
-    await ensureWorkbook();
-    await wb.xlsx.readFile(EXCEL_PATH);
-  }
-  const ws = wb.getWorksheet('Submissions') || wb.addWorksheet('Submissions');
-  const ts = dayjs().format('YYYY-MM-DD HH:mm:ss');
-  if (!payload.participants.length) {
-    ws.addRow({ ts, date: payload.date, city: payload.city, club: payload.club, contacts: payload.contacts, coach: payload.coach, judge: payload.judge, judgeCategory: payload.judgeCategory });
-  } else {
-    payload.participants.forEach((p) => {
-      ws.addRow({ ts, date: payload.date, city: payload.city, club: payload.club, contacts: payload.contacts, coach: payload.coach, judge: payload.judge, judgeCategory: payload.judgeCategory, p_idx: p.idx, p_name: p.name, p_birth: p.birthYear, p_has: p.hasRank, p_perf: p.performingRank, p_med: p.medicalVisa });
-    });
-  }
-  await wb.xlsx.writeFile(EXCEL_PATH);
+// Цены — неотрицательные числа; ключи разрядов сравниваются через rankKey()
+function normalizeFees(fees) {
+  if (!fees || typeof fees !== 'object') return null;
+  const price = (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Math.round(Number(v) * 100) / 100 : 0);
+  const table = (t) => ({
+    default: price(t && t.default),
+    ranks: Object.fromEntries(Object.entries((t && t.ranks) || {}).map(([rank, v]) => [rankKey(rank), price(v)])),
+  });
+  return {
+    currency: String(fees.currency || '₽').trim(),
+    individual: table(fees.individual),
+    group: table(fees.group),
+    discounts: (Array.isArray(fees.discounts) ? fees.discounts : [])
+      .map((d) => ({ club: String((d && d.club) || '').trim(), percent: Math.min(100, price(d && d.percent)) }))
+      .filter((d) => d.club && d.percent),
+  };
 }
 
-async function emailDocx(payload, buffer) {
-  const safeName = fileSafe(payload.club || 'Заявка');
-  const fileName = `Заявка_${safeName}.docx`;
+function findTournament(slug) {
+  const list = loadTournaments();
+  if (slug) return list.find((t) => t.slug === slug) || null;
+  return list.find((t) => t.default) || list[0] || null;
+}
 
-  await transporter.sendMail({
-    // В заголовке “From” показываем красивое имя, НО адрес = SMTP_USER
-    from: `"${FROM_NAME}" <${LOGIN_EMAIL}>`,
+function withTournament(req, res, next) {
+  const tournament = findTournament(req.params.slug);
+  if (!tournament) return res.status(404).json({ ok: false, error: 'Турнир не найден' });
+  req.tournament = tournament;
+  next();
+}
 
-    to: WORK_EMAIL,
-    subject: `Заявка: ${payload.club || 'без названия'}`,
-    text: [
-      `Клуб/школа: ${payload.club || '-'}`,
-      `Город: ${payload.city || '-'}`,
-      `Тренер: ${payload.coach || '-'}`,
-      `Контакты: ${payload.contacts || '-'}`,
-      `Судья: ${[payload.judge, payload.judgeCategory].filter(Boolean).join(', ') || '-'}`,
-      `Участниц: ${payload.participants?.length || 0}`,
-    ].join('\n'),
+// «12 октября 2025 г.» / «12 October 2025»; произвольный текст в date выводим как есть
+function formatTournamentDate(value, lang = DEFAULT_LANG) {
+  const d = dayjs(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !d.isValid()) return value;
+  return normalizeLang(lang) === 'en' ? d.locale('en').format('D MMMM YYYY') : d.locale('ru').format('D MMMM YYYY г.');
+}
 
-    attachments: [
-      {
-        filename: fileName,
-        content: buffer,
-        contentType:
-          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      },
-    ],
+// «г. Мытищи, 12 октября 2025 г.»
+function tournamentPlaceLine(t, lang = DEFAULT_LANG) {
+  return [t.city, t.venue, formatTournamentDate(t.date, lang)].filter(Boolean).join(', ');
+}
 
-    // ВАЖНО: конверт SMTP, чтобы MAIL FROM был ровно SMTP_USER
-    envelope: { from: LOGIN_EMAIL, to: WORK_EMAIL },
-  });
+// Окно приёма заявок: { open, message }; даты включительно (opens — с начала дня, closes — до конца дня)
+function registrationState(t, now = dayjs(), lang = DEFAULT_LANG) {
+  const { opens, closes } = t.registration;
+  if (opens && dayjs(opens).isValid() && now.isBefore(dayjs(opens).startOf('day'))) {
+    return { open: false, message: tr(lang, 'page.opens', { date: formatTournamentDate(opens, lang) }) };
+  }
+  if (closes && dayjs(closes).isValid() && now.isAfter(dayjs(closes).endOf('day'))) {
+    return { open: false, message: tr(lang, 'page.closedAt', { date: formatTournamentDate(closes, lang) }) };
+  }
+  return { open: true, message: closes ? tr(lang, 'page.until', { date: formatTournamentDate(closes, lang) }) : '' };
 }
 
+// После withTournament / withEditableSubmission
+function requireRegistrationOpen(req, res, next) {
+  const tournament = req.tournament || submissionTournament(req.submission);
+  const state = registrationState(tournament, dayjs(), requestLang(req));
+  if (!state.open) return res.status(403).json({ ok: false, error: state.message });
+  next();
+}
 
-function cell(text, opts = {}) {
-  return new TableCell({
+function tournamentRecipient(t) {
+  return t.email || WORK_EMAIL;
+}
+
+function escapeHtml(s) {
+  return String(s == null ? '' : s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// ------------------------ Submission store ------------------------
+// { version, submissions: [{ id, tournament, status, createdAt, updatedAt, data, invoiceNo, invoiceDate, fee, payment }],
+//   outbox: [...], webhooks: [...] }; черновики — в своём файле, см. initDrafts()
+async function initStore() {
+  if (fs.existsSync(STORE_PATH)) {
+    store = JSON.parse(await fs.promises.readFile(STORE_PATH, 'utf8'));
+    store.outbox = store.outbox || [];
+    store.webhooks = store.webhooks || [];
+    // заявки до реестра судей: judge/judgeCategory → judges
+    store.submissions.filter((s) => !s.data.judges).forEach((s) => {
+      s.data.judges = sanitizeSubmission(s.data).judges;
+      // старая категория была свободным текстом: неизвестное значение обнуляем, иначе в форме
+      // пустой выбор, а сохранение падает на judgeCategoryFromList
+      s.data.judges.forEach((j) => {
+        if (!JUDGE_CATEGORIES.some((c) => c.value === j.category)) j.category = '';
+      });
+      delete s.data.judge;
+      delete s.data.judgeCategory;
+    });
+    // адрес сайта из заголовка Host больше не храним: ссылки строятся от PUBLIC_URL
+    store.submissions.forEach((s) => { delete s.baseUrl; });
+    return;
+  }
+  const imported = await importLegacyWorkbooks();
+  store = { version: 1, submissions: imported, outbox: [], webhooks: [] };
+  await writeStore(store);
+  if (imported.length) console.log(`Imported ${imported.length} submission(s) from Excel`);
+}
+
+// Запись во временный файл + rename: при падении посреди записи старая копия цела
+async function writeJsonFile(file, value) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fh = await fs.promises.open(tmp, 'w');
+  try {
+    await fh.writeFile(JSON.stringify(value, null, 2));
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  await fs.promises.rename(tmp, file);
+}
+
+function writeStore(db) {
+  return writeJsonFile(STORE_PATH, db);
+}
+
+// Все изменения — строго по одному; fn получает копию и может её менять.
+// Если fn или запись упали, в памяти остаётся прежнее состояние.
+function mutateStore(fn) {
+  const run = storeQueue.then(async () => {
+    const draft = structuredClone(store);
+    const result = await fn(draft);
+    await writeStore(draft);
+    store = draft;
+    // новые вебхуки отправляем сразу после записи, не дожидаясь планового прохода
+    if (webhooksDue) { webhooksDue = false; setImmediate(processWebhooks); }
+    return result;
+  });
+  storeQueue = run.catch(() => {});
+  return run;
+}
+
+function listSubmissions(tournament) {
+  return store.submissions.filter((s) => !tournament || s.tournament === tournament.slug);
+}
+
+function getSubmission(id) {
+  return store.submissions.find((s) => s.id === id) || null;
+}
+
+// Повторная отправка с тем же ключом возвращает уже сохранённую заявку
+function createSubmission(payload, tournament, idempotencyKey) {
+  return mutateStore((db) => {
+    const existing = idempotencyKey &&
+      db.submissions.find((s) => s.idempotencyKey === idempotencyKey && s.tournament === tournament.slug);
+    if (existing) return existing;
+    const now = new Date().toISOString();
+    const submission = {
+      id: crypto.randomUUID(), tournament: tournament.slug, status: 'submitted',
+      idempotencyKey: idempotencyKey || undefined, editToken: crypto.randomBytes(24).toString('base64url'),
+      revision: 1, createdAt: now, updatedAt: now, data: payload,
+      invoiceNo: db.submissions.filter((x) => x.tournament === tournament.slug).length + 1, invoiceDate: now,
+      payment: { status: 'unpaid', updatedAt: now, paidAt: null },
+    };
+    allocateEntries(db, submission, tournament);
+    submission.fee = calculateFees(payload, tournament);
+    db.submissions.push(submission);
+    enqueueSubmissionMails(db, submission);
+    enqueueWebhooks(db, 'submission.created', submission);
+    return submission;
+  });
+}
+
+// Новая версия заявки по ссылке из письма: данные заменяются целиком,
+// организаторам уходит обновлённый .docx, клубу — новое подтверждение.
+// byOrganizer — правка через API: статус остаётся прежним, писем нет
+// patch — поля заявки (status, payment), которые организатор меняет той же записью
+function reviseSubmission(id, payload, idempotencyKey, { byOrganizer = false, patch = {} } = {}) {
+  return mutateStore((db) => {
+    const s = db.submissions.find((x) => x.id === id);
+    // ключ первой отправки тоже считается: страница после неё шлёт правки на /edit
+    if (idempotencyKey && (s.lastEditKey === idempotencyKey || s.idempotencyKey === idempotencyKey)) return s;
+    const tournament = submissionTournament(s);
+    const wasActive = isActive(s);
+    // закрытая заявка мест не занимала: при открытии её гимнастки распределяются заново
+    const previous = wasActive ? s.data.participants : [];
+    Object.assign(s, {
+      data: payload, status: byOrganizer ? s.status : 'submitted', revision: (s.revision || 1) + 1,
+      lastEditKey: idempotencyKey || undefined, updatedAt: new Date().toISOString(),
+    }, patch);
+    allocateEntries(db, s, tournament, previous);
+    s.fee = calculateFees(payload, tournament);
+    if (!byOrganizer) enqueueSubmissionMails(db, s);
+    enqueueWebhooks(db, statusEvent(wasActive, s), s);
+    return s;
+  });
+}
+
+// ------------------------ Capacity & waitlist ------------------------
+// Лимиты считаются по индивидуальным выступлениям действующих заявок (не отозванных и не отклонённых).
+// Гимнастка из листа ожидания помечена p.waitlisted = true; остальные — в основном составе.
+function capMatches(cap, p) {
+  return (!cap.rank || rankKey(cap.rank) === rankKey(p.performingRank)) &&
+    (!cap.birthYear || parseBirthYear(p.birthYear) === cap.birthYear);
+}
+
+// Одна и та же гимнастка в той же категории — для сравнения версий заявки
+function entryKey(p) {
+  return [normalizeHeader(p.name), normalizeBirthDate(p.birthYear), rankKey(p.performingRank)].join('|');
+}
+
+// Занятые места по каждому лимиту; exceptId — заявка, которую распределяем сейчас
+function capUsage(submissions, tournament, exceptId = null) {
+  const used = tournament.capacity.map(() => 0);
+  submissions
+    .filter((x) => x.tournament === tournament.slug && x.id !== exceptId && isActive(x))
+    .forEach((x) => x.data.participants.forEach((p) => {
+      if (p.waitlisted) return;
+      tournament.capacity.forEach((cap, i) => { if (capMatches(cap, p)) used[i] += 1; });
+    }));
+  return used;
+}
+
+// Вызывается внутри mutateStore. previous — участницы прежней версии заявки:
+// кто в ней уже был в той же категории, сохраняет своё место (или очередь), новых распределяем по порядку
+function allocateEntries(db, submission, tournament, previous = []) {
+  const participants = submission.data.participants;
+  participants.forEach((p) => { delete p.waitlisted; });
+  if (!tournament.capacity.length) return;
+  const used = capUsage(db.submissions, tournament, submission.id);
+  const before = new Map(previous.map((p) => [entryKey(p), !!p.waitlisted]));
+  const take = (p) => tournament.capacity.forEach((cap, i) => { if (capMatches(cap, p)) used[i] += 1; });
+  const fresh = [];
+  participants.forEach((p) => {
+    if (!before.has(entryKey(p))) return fresh.push(p);
+    if (before.get(entryKey(p))) p.waitlisted = true;
+    else take(p);
+  });
+  fresh.forEach((p) => {
+    const full = tournament.capacity.some((cap, i) => capMatches(cap, p) && used[i] >= cap.limit);
+    if (full) p.waitlisted = true;
+    else take(p);
+  });
+}
+
+function waitlistedNames(data) {
+  return data.participants.filter((p) => p.waitlisted).map((p) => p.name);
+}
+
+// ------------------------ Duplicates & conflicts ------------------------
+// ФИО без регистра, «ё» и порядка слов: «Иванова Анна» = «анна  иванова»
+function normalizePersonName(name) {
+  return String(name || '').toLowerCase().replace(/ё/g, 'е').split(/[^a-zа-я]+/).filter(Boolean).sort().join(' ');
+}
+
+function gymnastKey(p) {
+  const name = normalizePersonName(p.name);
+  const year = parseBirthYear(p.birthYear);
+  return name && year ? `${name}|${year}` : '';
+}
+
+// Адреса и телефоны (последние 10 цифр) из «Контактов» и поля эл. почты
+function contactKeys(data) {
+  const text = `${data.contacts || ''} ${data.email || ''}`;
+  const emails = (text.match(new RegExp(EMAIL_RE.source, 'g')) || []).map((e) => e.toLowerCase());
+  const phones = (text.match(new RegExp(PHONE_RE.source, 'g')) || []).map((p) => p.replace(/\D/g, '').slice(-10));
+  return new Set([...emails, ...phones]);
+}
+
+// Совпадения с другими действующими заявками турнира:
+// duplicates — тот же клуб с теми же контактами (повторная подача),
+// gymnasts — та же гимнастка (ФИО + год рождения) в заявке другого клуба или с другими контактами
+function findConflicts(data, tournament, exceptId = null) {
+  const others = activeSubmissions(tournament).filter((s) => s.id !== exceptId);
+  const club = normalizeHeader(data.club);
+  const contacts = contactKeys(data);
+  const duplicates = others.filter((s) => club && normalizeHeader(s.data.club) === club &&
+    [...contactKeys(s.data)].some((k) => contacts.has(k)));
+  const rest = others.filter((s) => !duplicates.includes(s));
+  const gymnasts = [];
+  data.participants.forEach((p) => {
+    const key = gymnastKey(p);
+    const matches = key ? rest.filter((s) => s.data.participants.some((o) => gymnastKey(o) === key)) : [];
+    if (matches.length) gymnasts.push({ idx: p.idx, name: p.name, birthYear: p.birthYear, submissions: matches });
+  });
+  return { duplicates, gymnasts };
+}
+
+// Предупреждения для страницы заявки. Её видит кто угодно, поэтому чужие клубы не называем:
+// подробности совпадений — только организаторам на /admin/conflicts
+function conflictWarnings({ duplicates, gymnasts }, lang = DEFAULT_LANG) {
+  return [
+    ...duplicates.map((s) => tr(lang, 'conflicts.duplicate', { club: s.data.club, date: dayjs(s.createdAt).format('DD.MM.YYYY') })),
+    ...gymnasts.map((g) => tr(lang, 'conflicts.gymnast', { name: g.name, year: parseBirthYear(g.birthYear) })),
+  ];
+}
+
+// Число совпадений для всего списка заявок за один проход (findConflicts на каждую строку — квадратично).
+// Правила те же, что в findConflicts. Возвращает Map id → { duplicates, gymnasts } для действующих заявок.
+function conflictCounts(submissions) {
+  const byTournament = new Map();
+  submissions.filter(isActive).forEach((s) => {
+    if (!byTournament.has(s.tournament)) byTournament.set(s.tournament, []);
+    byTournament.get(s.tournament).push(s);
+  });
+  const counts = new Map();
+  byTournament.forEach((list) => {
+    const clubs = new Map();     // клуб → заявки
+    const entries = new Map();   // гимнастка (gymnastKey) → id заявок
+    const contacts = new Map(list.map((s) => [s.id, contactKeys(s.data)]));
+    list.forEach((s) => {
+      const club = normalizeHeader(s.data.club);
+      if (club) clubs.set(club, [...(clubs.get(club) || []), s]);
+      s.data.participants.forEach((p) => {
+        const key = gymnastKey(p);
+        if (key) entries.set(key, (entries.get(key) || new Set()).add(s.id));
+      });
+    });
+    list.forEach((s) => {
+      const own = contacts.get(s.id);
+      const duplicates = new Set((clubs.get(normalizeHeader(s.data.club)) || [])
+        .filter((x) => x.id !== s.id && [...contacts.get(x.id)].some((k) => own.has(k)))
+        .map((x) => x.id));
+      const gymnasts = s.data.participants.filter((p) => {
+        const key = gymnastKey(p);
+        return key && [...entries.get(key)].some((id) => id !== s.id && !duplicates.has(id));
+      }).length;
+      counts.set(s.id, { duplicates: duplicates.size, gymnasts });
+    });
+  });
+  return counts;
+}
+
+// Вызывается внутри mutateStore: переносит в s гимнасток, группы и судей из old, которых в s ещё нет.
+// Возвращает число перенесённых записей.
+function mergeSubmissionData(s, old) {
+  const have = new Set(s.data.participants.map((p) => gymnastKey(p) || normalizePersonName(p.name)));
+  const haveGroups = new Set((s.data.groups || []).map((g) => normalizePersonName(g.name)));
+  const haveJudges = new Set(s.data.judges.map((j) => normalizePersonName(j.name)));
+  const participants = old.data.participants.filter((p) => !have.has(gymnastKey(p) || normalizePersonName(p.name)));
+  const groups = (old.data.groups || []).filter((g) => !haveGroups.has(normalizePersonName(g.name)));
+  const judges = old.data.judges.filter((j) => !haveJudges.has(normalizePersonName(j.name)));
+  s.data.participants = [...s.data.participants, ...participants].map((p, i) => ({ ...p, idx: i + 1 }));
+  s.data.groups = [...(s.data.groups || []), ...groups].map((g, i) => ({ ...g, idx: i + 1 }));
+  s.data.judges = [...s.data.judges, ...judges].map((j, i) => ({ ...j, idx: i + 1 }));
+  return participants.length + groups.length + judges.length;
+}
+
+function findSubmissionByEditToken(token) {
+  return (token && store.submissions.find((s) => s.editToken && safeEqual(s.editToken, token))) || null;
+}
+
+function isActive(s) {
+  return !CLOSED_STATUSES.includes(s.status);
+}
+
+// Отозванную, отклонённую или заменённую заявку по ссылке уже не поправить
+function withEditableSubmission(req, res, next) {
+  const submission = findSubmissionByEditToken(String(req.params.token || ''));
+  if (!submission) return res.status(404).json({ ok: false, error: 'Заявка не найдена' });
+  if (!isActive(submission)) {
+    return res.status(410).json({ ok: false, error: 'Заявка закрыта для изменений' });
+  }
+  req.submission = submission;
+  next();
+}
+
+function editUrl(s) {
+  return `${PUBLIC_URL}/edit/${encodeURIComponent(s.editToken)}`;
+}
+
+function updateSubmission(id, patch) {
+  return mutateStore((db) => {
+    const s = db.submissions.find((x) => x.id === id);
+    if (!s) return null;
+    const wasActive = isActive(s);
+    Object.assign(s, patch, { updatedAt: new Date().toISOString() });
+    // пока заявка была закрыта, её места могли занять: распределяем заново, лишнее — в лист ожидания
+    if (!wasActive && isActive(s)) {
+      const tournament = submissionTournament(s);
+      allocateEntries(db, s, tournament);
+      s.fee = calculateFees(s.data, tournament);
+    }
+    enqueueWebhooks(db, statusEvent(wasActive, s), s);
+    return s;
+  });
+}
+
+// Событие вебхука после изменения заявки, которая до этого была (или не была) действующей
+function statusEvent(wasActive, s) {
+  return wasActive && !isActive(s) && s.status !== 'rejected' ? 'submission.withdrawn' : 'submission.updated';
+}
+
+// Турнир заявки; если его уже убрали из tournaments.json — минимальная заглушка по slug
+function submissionTournament(s) {
+  return findTournament(s.tournament) || normalizeTournament({ slug: s.tournament, name: s.tournament });
+}
+
+// Разовый импорт строк из прежних submissions*.xlsx: строки одной заявки
+// (одинаковые время, клуб и контакты) собираются обратно в одну запись
+async function importLegacyWorkbooks() {
+  const files = fs.readdirSync(DATA_DIR).filter((f) => /^submissions(-.+)?\.xlsx$/.test(f));
+  const fallback = findTournament();
+  const result = [];
+  for (const f of files) {
+    const slug = (/^submissions-(.+)\.xlsx$/.exec(f) || [])[1] || (fallback && fallback.slug) || '';
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.readFile(path.join(DATA_DIR, f));
+    const ws = wb.getWorksheet('Submissions');
+    if (!ws) continue;
+    const headers = ws.getRow(1).values;
+    const col = (row, header) => {
+      const i = headers.indexOf(header);
+      const v = i > 0 ? row.getCell(i).value : null;
+      // время подачи нужно целиком; остальное — как в импорте списка (rich text, ссылки, формулы)
+      return v instanceof Date ? dayjs(v).format('YYYY-MM-DD HH:mm:ss') : cellText(v).trim();
+    };
+    const groups = new Map();
+    ws.eachRow((row, n) => {
+      if (n === 1) return;
+      const ts = col(row, 'Timestamp');
+      const key = [ts, col(row, 'Club/School'), col(row, 'Contacts')].join('|');
+      if (!groups.has(key)) {
+        const createdAt = dayjs(ts).isValid() ? dayjs(ts).toISOString() : new Date().toISOString();
+        groups.set(key, {
+          id: crypto.randomUUID(), tournament: slug, status: 'submitted', createdAt, updatedAt: createdAt, importedFrom: f,
+          data: sanitizeSubmission({
+            date: col(row, 'Date (on form)'), city: col(row, 'City'), club: col(row, 'Club/School'),
+            contacts: col(row, 'Contacts'), coach: col(row, 'Coach (FIO)'), judge: col(row, 'Judge (FIO)'),
+            judgeCategory: col(row, 'Judge Category'), participants: [],
+          }),
+        });
+      }
+      const name = col(row, 'Participant Name');
+      if (!name) return;
+      const { data } = groups.get(key);
+      data.participants.push({
+        idx: data.participants.length + 1, name, birthYear: col(row, 'Birth Year'), hasRank: col(row, 'Has Rank'),
+        performingRank: col(row, 'Performing Rank'), medicalVisa: col(row, 'Medical Visa'),
+      });
+    });
+    result.push(...groups.values());
+  }
+  return result.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// ------------------------ Drafts ------------------------
+// data/drafts.json: { drafts: [{ code, tournament, owner, data, createdAt, updatedAt }] }; data — как у заявки,
+// без проверки обязательных полей. Черновики прежних версий лежали в submissions.json (store.drafts) — переносим.
+async function initDrafts() {
+  if (fs.existsSync(DRAFTS_PATH)) draftStore = JSON.parse(await fs.promises.readFile(DRAFTS_PATH, 'utf8'));
+  if (store.drafts) {
+    const legacy = store.drafts;
+    await mutateDrafts((db) => { db.drafts.push(...legacy); });
+    await mutateStore((db) => { delete db.drafts; });
+  }
+}
+
+// Как mutateStore, только для data/drafts.json
+function mutateDrafts(fn) {
+  const run = draftsQueue.then(async () => {
+    const draft = structuredClone(draftStore);
+    const result = await fn(draft);
+    await writeJsonFile(DRAFTS_PATH, draft);
+    draftStore = draft;
+    return result;
+  });
+  draftsQueue = run.catch(() => {});
+  return run;
+}
+
+// Адрес клиента храним только хешем — для лимита MAX_DRAFTS_PER_IP
+function draftOwner(req) {
+  return crypto.createHash('sha256').update(String(req.ip)).digest('hex').slice(0, 16);
+}
+
+function newDraftCode(db) {
+  for (;;) {
+    const code = [...crypto.randomBytes(DRAFT_CODE_LENGTH)].map((b) => DRAFT_CODE_ALPHABET[b % DRAFT_CODE_ALPHABET.length]).join('');
+    if (!db.drafts.some((d) => d.code === code)) return code;
+  }
+}
+
+// «abcd-efgh» с листочка → «ABCDEFGH»
+function normalizeDraftCode(value) {
+  return String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '').slice(0, DRAFT_CODE_LENGTH);
+}
+
+function draftExpiresAt(d) {
+  return dayjs(d.updatedAt).add(DRAFT_TTL_DAYS, 'day').toISOString();
+}
+
+function draftExpired(d) {
+  return dayjs().isAfter(draftExpiresAt(d));
+}
+
+function findDraft(code, tournament) {
+  const draft = code && draftStore.drafts.find((d) => d.code === code && d.tournament === tournament.slug);
+  return draft && !draftExpired(draft) ? draft : null;
+}
+
+// С кодом своего турнира — обновляем тот же черновик, иначе заводим новый; просроченные заодно удаляем.
+// null — новый черновик не помещается в лимиты (всего или с этого адреса).
+function saveDraft(code, data, tournament, owner) {
+  return mutateDrafts((db) => {
+    db.drafts = db.drafts.filter((d) => !draftExpired(d));
+    const now = new Date().toISOString();
+    let draft = code && db.drafts.find((d) => d.code === code && d.tournament === tournament.slug);
+    if (!draft) {
+      if (db.drafts.length >= MAX_DRAFTS || db.drafts.filter((d) => d.owner === owner).length >= MAX_DRAFTS_PER_IP) return null;
+      draft = { code: newDraftCode(db), tournament: tournament.slug, owner, createdAt: now };
+      db.drafts.push(draft);
+    }
+    Object.assign(draft, { data, updatedAt: now });
+    return draft;
+  });
+}
+
+// ------------------------ Mail outbox ------------------------
+// Задание: { id, submissionId, type: organizer|confirmation, status: pending|sent|failed,
+//            attempts, nextAttemptAt, lastError, createdAt, sentAt }
+// Вызывается внутри mutateStore
+function enqueueMail(db, submissionId, type = 'organizer') {
+  const job = {
+    id: crypto.randomUUID(), submissionId, type, status: 'pending', attempts: 0,
+    nextAttemptAt: new Date().toISOString(), lastError: '', createdAt: new Date().toISOString(), sentAt: null,
+  };
+  db.outbox.push(job);
+  return job;
+}
+
+// Письмо организаторам и, если у клуба есть адрес, подтверждение клубу.
+// Ещё не ушедшие письма по прежней версии заявки больше не нужны.
+function enqueueSubmissionMails(db, submission) {
+  db.outbox = db.outbox.filter((j) => j.submissionId !== submission.id || j.status !== 'pending');
+  enqueueMail(db, submission.id, 'organizer');
+  if (clubEmail(submission.data)) enqueueMail(db, submission.id, 'confirmation');
+}
+
+// Ручная повторная отправка: ожидающее или упавшее задание запускаем заново сейчас,
+// после доставленного — ставим новое
+function requeueMail(db, submissionId, type = 'organizer') {
+  const job = db.outbox.filter((j) => j.submissionId === submissionId && (j.type || 'organizer') === type).pop();
+  if (!job || job.status === 'sent') return enqueueMail(db, submissionId, type);
+  if (job.status === 'failed') Object.assign(job, { status: 'pending', attempts: 0 });
+  job.nextAttemptAt = new Date().toISOString();
+  return job;
+}
+
+function latestMailJob(submissionId, type = 'organizer') {
+  return store.outbox.filter((j) => j.submissionId === submissionId && (j.type || 'organizer') === type).pop() || null;
+}
+
+// 'sent' | 'pending' | 'failed' | 'none'
+function mailStatus(submissionId, type = 'organizer') {
+  const job = latestMailJob(submissionId, type);
+  return job ? job.status : 'none';
+}
+
+// Ответ клиенту после сохранения. Оба письма пробуем отправить сразу и параллельно. Заявка уже
+// сохранена, поэтому любой сбой здесь только оставляет письмо в очереди — его дошлёт processOutbox.
+async function respondSaved(res, submission) {
+  const now = new Date().toISOString();
+  const due = ['organizer', 'confirmation']
+    .map((type) => latestMailJob(submission.id, type))
+    .filter((job) => job && job.status === 'pending' && job.nextAttemptAt <= now);
+  try {
+    await Promise.all(due.map((job) => deliverMailJob(job.id)));
+  } catch (err) {
+    console.error(`Immediate mail for ${submission.id} failed, left to the outbox:`, err);
+  }
+  res.json({
+    ok: true,
+    id: submission.id,
+    mail: mailStatus(submission.id),
+    confirmation: mailStatus(submission.id, 'confirmation'),
+    confirmationTo: clubEmail(submission.data),
+    editUrl: editUrl(submission),
+    waitlisted: waitlistedNames(submission.data),
+  });
+}
+
+function outboxDelay(attempts) {
+  return Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1), OUTBOX_MAX_DELAY_MS);
+}
+
+// Одна попытка доставки; результат сохраняется в очереди. Возвращает задание
+// или null, если его уже нет в очереди.
+async function deliverMailJob(jobId) {
+  const job = store.outbox.find((j) => j.id === jobId);
+  if (!job || job.status !== 'pending' || outboxInFlight.has(jobId)) return job;
+  outboxInFlight.add(jobId);
+  try {
+    let error = null;
+    try {
+      const submission = getSubmission(job.submissionId);
+      if (!submission) throw new Error(`Submission ${job.submissionId} not found`);
+      const tournament = submissionTournament(submission);
+      const data = job.type === 'confirmation' ? submission.data : organizerData(submission.data);
+      const buffer = await buildDocx(data, tournament);
+      await emailDocx(data, buffer, tournament, {
+        to: job.type === 'confirmation' ? 'club' : 'organizer',
+        editUrl: editUrl(submission),
+        revision: submission.revision || 1,
+        pdf: MAIL_ATTACH_PDF ? await buildPdf(data, tournament) : null,
+        invoice: await buildSubmissionInvoice(submission),
+        fee: submissionFee(submission),
+      });
+    } catch (err) {
+      error = err;
+      console.error(`Mail ${jobId} failed (attempt ${job.attempts + 1}):`, err.message);
+    }
+    return await mutateStore((db) => {
+      const j = db.outbox.find((x) => x.id === jobId);
+      // пока письмо уходило, заявку могли изменить и задание убрать из очереди
+      if (!j) return null;
+      j.attempts += 1;
+      if (!error) {
+        Object.assign(j, { status: 'sent', sentAt: new Date().toISOString(), lastError: '' });
+      } else {
+        j.lastError = String(error.message || error);
+        j.status = j.attempts >= OUTBOX_MAX_ATTEMPTS ? 'failed' : 'pending';
+        j.nextAttemptAt = new Date(Date.now() + outboxDelay(j.attempts)).toISOString();
+      }
+      return j;
+    });
+  } finally {
+    outboxInFlight.delete(jobId);
+  }
+}
+
+// Фоновый проход по очереди: все задания, у которых подошло время
+async function processOutbox() {
+  if (outboxBusy) return;
+  outboxBusy = true;
+  try {
+    const now = new Date().toISOString();
+    const due = store.outbox.filter((j) => j.status === 'pending' && j.nextAttemptAt <= now);
+    for (const job of due) await deliverMailJob(job.id);
+  } catch (err) {
+    console.error('Outbox pass failed:', err);
+  } finally {
+    outboxBusy = false;
+  }
+}
+
+function startOutbox() {
+  setInterval(processOutbox, OUTBOX_POLL_MS).unref();
+  setInterval(processWebhooks, OUTBOX_POLL_MS).unref();
+  processOutbox();
+  processWebhooks();
+}
+
+// ------------------------ Mail transports ------------------------
+// smtp: SMTP_SECURE=tls — сразу TLS (порт 465), starttls — обязательный STARTTLS, none — без шифрования
+// (локальные ловушки писем). Остальные транспорты собирают письмо nodemailer'ом и сохраняют его в MAIL_DIR.
+function createMailTransport(kind) {
+  if (kind === 'smtp') {
+    const port = Number(process.env.SMTP_PORT || 465);
+    const secure = String(process.env.SMTP_SECURE || (port === 465 ? 'tls' : 'starttls')).trim().toLowerCase();
+    if (!['tls', 'starttls', 'none'].includes(secure)) throw new Error('SMTP_SECURE must be one of: tls, starttls, none');
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: secure === 'tls',
+      requireTLS: secure === 'starttls',
+      ignoreTLS: secure === 'none',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  fs.mkdirSync(MAIL_DIR, { recursive: true });
+  const builder = kind === 'json'
+    ? nodemailer.createTransport({ jsonTransport: true })
+    : nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    async sendMail(message) {
+      const info = await builder.sendMail(message);
+      await saveCapturedMail(kind, info);
+      return info;
+    },
+  };
+}
+
+async function saveCapturedMail(kind, info) {
+  const now = new Date();
+  if (kind === 'file') {
+    const name = `${dayjs(now).format('YYYYMMDD-HHmmss')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.promises.writeFile(path.join(MAIL_DIR, name), info.message);
+  } else if (kind === 'mbox') {
+    // mboxrd: строка-разделитель "From адрес дата", строки тела "From " экранируются ">"
+    const stamp = `${now.toDateString().slice(0, 10)} ${now.toTimeString().slice(0, 8)} ${now.getFullYear()}`;
+    const body = info.message.toString('utf8').replace(/^(>*From )/gm, '>$1');
+    await fs.promises.appendFile(MBOX_PATH, `From ${info.envelope.from || 'MAILER-DAEMON'} ${stamp}\n${body}\n\n`);
+  } else {
+    const entry = { capturedAt: now.toISOString(), ...JSON.parse(info.message) };
+    await fs.promises.appendFile(MAIL_LOG_PATH, JSON.stringify(entry) + '\n');
+  }
+}
+
+// Сохранённые письма текущего транспорта, новые сверху:
+// { id, date, from, to, subject, text, html, attachments: [{ filename, contentType, content }] }
+function listCapturedMail() {
+  let list = [];
+  if (MAIL_TRANSPORT === 'file') {
+    list = fs.readdirSync(MAIL_DIR).filter((f) => f.endsWith('.eml')).sort()
+      .map((f) => ({ id: f.replace(/\.eml$/, ''), ...parseMail(fs.readFileSync(path.join(MAIL_DIR, f), 'utf8')) }));
+  } else if (MAIL_TRANSPORT === 'mbox' && fs.existsSync(MBOX_PATH)) {
+    list = fs.readFileSync(MBOX_PATH, 'utf8').split(/^From .*\n/m).filter((m) => m.trim())
+      .map((m, i) => ({ id: `mbox-${i + 1}`, ...parseMail(m.replace(/^>(>*From )/gm, '$1')) }));
+  } else if (MAIL_TRANSPORT === 'json' && fs.existsSync(MAIL_LOG_PATH)) {
+    list = fs.readFileSync(MAIL_LOG_PATH, 'utf8').split('\n').filter(Boolean).map((line, i) => {
+      const m = JSON.parse(line);
+      const addresses = (v) => [].concat(v || []).map((a) => (a.name ? `${a.name} <${a.address}>` : a.address)).join(', ');
+      return {
+        id: `json-${i + 1}`, date: m.capturedAt, from: addresses(m.from), to: addresses(m.to),
+        subject: m.subject || '', text: m.text || '', html: m.html || '',
+        attachments: (m.attachments || []).map((a) => ({
+          filename: a.filename || 'attachment', contentType: a.contentType,
+          content: Buffer.from(a.content || '', a.encoding === 'base64' ? 'base64' : 'utf8'),
+        })),
+      };
+    });
+  }
+  return list.reverse();
+}
+
+// Разбор писем, которые собирает nodemailer (для /dev/mail), — не универсальный MIME-парсер
+function parseMail(raw) {
+  const mail = { date: '', from: '', to: '', subject: '', text: '', html: '', attachments: [] };
+  const walk = (part) => {
+    const { headers, body } = splitMimePart(part);
+    const type = mimeParams(headers['content-type'] || 'text/plain');
+    if (!mail.subject && headers.subject) {
+      Object.assign(mail, { date: headers.date || '', from: headers.from || '', to: headers.to || '', subject: headers.subject });
+    }
+    if (type.value.startsWith('multipart/')) {
+      const boundary = `--${type.params.boundary}`;
+      body.split(boundary).slice(1).filter((p) => !p.startsWith('--')).forEach((p) => walk(p.replace(/^\r?\n/, '')));
+      return;
+    }
+    const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+    const content = encoding === 'base64' ? Buffer.from(body, 'base64')
+      : encoding === 'quoted-printable' ? decodeQuotedPrintable(body.replace(/\r?\n$/, ''))
+      : Buffer.from(body.replace(/\r?\n$/, ''), 'utf8');
+    const disposition = mimeParams(headers['content-disposition'] || '');
+    if (disposition.value === 'attachment' || (!type.value.startsWith('text/') && !disposition.value)) {
+      mail.attachments.push({ filename: disposition.params.filename || type.params.name || 'attachment', contentType: type.value, content });
+    } else if (type.value === 'text/html') mail.html = content.toString('utf8');
+    else if (type.value === 'text/plain') mail.text = content.toString('utf8');
+  };
+  walk(raw);
+  return mail;
+}
+
+function splitMimePart(part) {
+  const end = part.search(/\r?\n\r?\n/);
+  const head = end < 0 ? part : part.slice(0, end);
+  const body = end < 0 ? '' : part.slice(end).replace(/^\r?\n\r?\n/, '');
+  const headers = {};
+  head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach((line) => {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = decodeMimeWords(line.slice(i + 1).trim());
+  });
+  return { headers, body };
+}
+
+// "type; a=1; b*0*=utf-8''%D0..; b*1*=.." → { value, params }, с продолжениями и кодировкой по RFC 2231
+function mimeParams(header) {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+  const pieces = {};
+  rest.forEach((item) => {
+    const m = /^\s*([^=*\s]+)(?:\*(\d+))?(\*)?=\s*"?(.*?)"?\s*$/.exec(item);
+    if (!m) return;
+    const [, name, index, encoded, val] = m;
+    if (index == null && !encoded) params[name.toLowerCase()] = val;
+    else (pieces[name.toLowerCase()] = pieces[name.toLowerCase()] || [])[Number(index || 0)] = { val, encoded };
+  });
+  Object.entries(pieces).forEach(([name, list]) => {
+    const text = list.map((p) => (p.encoded ? p.val.replace(/^[\w-]*'[\w-]*'/, '') : p.val)).join('');
+    try { params[name] = decodeURIComponent(text); } catch { params[name] = text; }
+  });
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function decodeMimeWords(text) {
+  return text
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (all, charset, enc, data) => {
+      if (!/^utf-?8$/i.test(charset)) return all;
+      return enc.toUpperCase() === 'B'
+        ? Buffer.from(data, 'base64').toString('utf8')
+        : decodeQuotedPrintable(data.replace(/_/g, ' ')).toString('utf8');
+    });
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = Buffer.from(text.replace(/=\r?\n/g, ''), 'utf8');
+  for (let i = 0; i < source.length; i++) {
+    const hex = source[i] === 0x3d ? source.toString('latin1', i + 1, i + 3) : '';
+    if (/^[0-9A-Fa-f]{2}$/.test(hex)) { bytes.push(parseInt(hex, 16)); i += 2; } else bytes.push(source[i]);
+  }
+  return Buffer.from(bytes);
+}
+
+// ------------------------ Webhooks ------------------------
+// Задание: { id, event, url, submissionId, payload, status: pending|sent|failed, attempts,
+//            nextAttemptAt, lastError, createdAt, sentAt }. payload — снимок заявки на момент события,
+// чтобы получатель видел изменения по порядку, даже если доставка задержалась.
+// Вызывается внутри mutateStore
+function enqueueWebhooks(db, event, submission) {
+  if (!WEBHOOK_URLS.length) return;
+  db.webhooks = db.webhooks || [];
+  const now = new Date().toISOString();
+  WEBHOOK_URLS.forEach((url) => db.webhooks.push({
+    id: crypto.randomUUID(), event, url, submissionId: submission.id,
+    payload: apiSubmission(submission), status: 'pending', attempts: 0,
+    nextAttemptAt: now, lastError: '', createdAt: now, sentAt: null,
+  }));
+  webhooksDue = true;
+}
+
+// Подпись как у Stripe/GitHub: HMAC-SHA256 от «timestamp.body» общим секретом
+function signWebhook(timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+async function deliverWebhook(job) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const body = JSON.stringify({ id: job.id, event: job.event, createdAt: job.createdAt, submission: job.payload });
+  const res = await fetch(job.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': job.id,
+      'X-Webhook-Event': job.event,
+      'X-Webhook-Timestamp': timestamp,
+      ...(WEBHOOK_SECRET ? { 'X-Webhook-Signature': signWebhook(timestamp, body) } : {}),
+    },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+// Задания одного адреса доставляются строго по порядку: пока старое не ушло, новые ждут
+async function processWebhooks() {
+  if (webhooksBusy) return;
+  webhooksBusy = true;
+  try {
+    const now = new Date().toISOString();
+    const blocked = new Set();
+    for (const job of (store.webhooks || []).filter((j) => j.status === 'pending')) {
+      if (blocked.has(job.url)) continue;
+      if (job.nextAttemptAt > now) { blocked.add(job.url); continue; }
+      let error = null;
+      try {
+        await deliverWebhook(job);
+      } catch (err) {
+        error = err;
+        console.error(`Webhook ${job.event} to ${job.url} failed (attempt ${job.attempts + 1}):`, err.message);
+      }
+      const j = await mutateStore((db) => {
+        const x = db.webhooks.find((w) => w.id === job.id);
+        x.attempts += 1;
+        if (!error) {
+          Object.assign(x, { status: 'sent', sentAt: new Date().toISOString(), lastError: '' });
+        } else {
+          x.lastError = String(error.message || error);
+          x.status = x.attempts >= OUTBOX_MAX_ATTEMPTS ? 'failed' : 'pending';
+          x.nextAttemptAt = new Date(Date.now() + outboxDelay(x.attempts)).toISOString();
+        }
+        return x;
+      });
+      if (j.status === 'pending') blocked.add(job.url);
+    }
+  } catch (err) {
+    console.error('Webhook pass failed:', err);
+  } finally {
+    webhooksBusy = false;
+  }
+}
+
+// ------------------------ Admin auth ------------------------
+// Сессия — подписанная HMAC кука «<срок истечения>.<подпись>», без хранения на сервере
+function signAdminSession() {
+  const expires = String(Date.now() + ADMIN_SESSION_HOURS * 3600 * 1000);
+  return `${expires}.${crypto.createHmac('sha256', ADMIN_SECRET).update(expires).digest('hex')}`;
+}
+
+function isAdmin(req) {
+  if (!ADMIN_PASSWORD) return false;
+  const [expires, sig] = String(readCookie(req, ADMIN_COOKIE) || '').split('.');
+  if (!expires || !sig || Number(expires) < Date.now()) return false;
+  return safeEqual(sig, crypto.createHmac('sha256', ADMIN_SECRET).update(expires).digest('hex'));
+}
+
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+    return res.redirect(303, `/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).json({ ok: false, error: 'Требуется вход организатора' });
+}
+
+// API: «Authorization: Bearer <token>», токены из API_TOKENS
+function requireApiToken(req, res, next) {
+  const m = /^Bearer\s+(.+)$/i.exec(String(req.get('Authorization') || ''));
+  if (API_TOKENS.length && m && API_TOKENS.some((t) => safeEqual(m[1].trim(), t))) return next();
+  res.status(401).json({ ok: false, error: API_TOKENS.length ? 'Нужен действующий API-токен' : 'API не настроен: задайте API_TOKENS' });
+}
+
+// Заявка для API и вебхуков: без секретов (ссылка правки, ключи идемпотентности)
+function apiSubmission(s) {
+  const { editToken, idempotencyKey, lastEditKey, importedFrom, ...rest } = s;
+  return { ...rest, status: s.status || 'submitted', fee: submissionFee(s), payment: s.payment || { status: 'unpaid' } };
+}
+
+// Правка данных заявки через API: mutate меняет копию data (false — запись не найдена),
+// результат проходит ту же очистку и проверку, что и форма. patch — прочие поля заявки, в ту же запись.
+// Возвращает заявку или null (ответ уже отправлен).
+async function apiReviseData(req, res, mutate, patch = {}) {
+  const data = structuredClone(req.submission.data);
+  if (mutate(data) === false) {
+    res.status(404).json({ ok: false, error: 'Участница не найдена' });
+    return null;
+  }
+  const payload = sanitizeSubmission(data);
+  const errors = validateSubmission(payload, submissionTournament(req.submission));
+  if (errors.length) {
+    rejectInvalid(res, errors);
+    return null;
+  }
+  try {
+    return await reviseSubmission(req.submission.id, payload, idempotencyKey(req), { byOrganizer: true, patch });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok: false, error: 'Не удалось сохранить заявку' });
+    return null;
+  }
+}
+
+// Частичные данные из PATCH; прежние judge/judgeCategory, как и при создании, означают первого судью
+function mergeApiData(data, changes) {
+  const { judge, judgeCategory, ...rest } = changes;
+  Object.assign(data, rest);
+  if (rest.judges || (judge == null && judgeCategory == null)) return;
+  const first = { ...data.judges[0] };
+  if (judge != null) first.name = judge;
+  if (judgeCategory != null) first.category = judgeCategory;
+  data.judges = [first, ...data.judges.slice(1)];
+}
+
+function withSubmission(req, res, next) {
+  const submission = getSubmission(req.params.id);
+  if (!submission) return res.status(404).json({ ok: false, error: 'Заявка не найдена' });
+  req.submission = submission;
+  next();
+}
+
+function adminCookie(value, maxAge) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${ADMIN_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+function readCookie(req, name) {
+  const found = String(req.headers.cookie || '').split(';').map((c) => c.trim().split('=')).find(([k]) => k === name);
+  if (!found) return null;
+  try {
+    return decodeURIComponent(found.slice(1).join('='));
+  } catch {
+    return null; // битое %-кодирование — как будто cookie нет
+  }
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(a).digest();
+  const hb = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// Только локальные пути — иначе ?next= превращается в открытый редирект
+function safeNext(value) {
+  const next = String(value || '');
+  return next.startsWith('/') && !next.startsWith('//') ? next : '/admin';
+}
+
+function idempotencyKey(req) {
+  return String(req.get('Idempotency-Key') || '').slice(0, 100);
+}
+
+function requestBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+function sendHtml(res, html) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.end(html);
+}
+
+// ------------------------ Abuse protection ------------------------
+function logBlocked(req, reason) {
+  console.warn(`Blocked ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+}
+
+function rejectForeignOrigin(req, res, next) {
+  const origin = req.get('Origin');
+  if (!origin || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+  if (origin === requestBaseUrl(req) || (PUBLIC_URL && origin === PUBLIC_URL) || CORS_ORIGINS.includes(origin)) return next();
+  logBlocked(req, `origin ${origin}`);
+  res.status(403).json({ ok: false, error: tr(requestLang(req), 'errors.foreignOrigin') });
+}
+
+// by: 'ip' — по адресу клиента; 'contact' — по первому телефону/почте из заявки (без контактов не считается)
+function rateLimiter(name, by, limit) {
+  return rateLimit({
+    windowMs: RATE_WINDOW_MS,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    skip: (req) => by === 'contact' && !requestContactKey(req),
+    keyGenerator: (req) => (by === 'contact' ? `${name}:contact:${requestContactKey(req)}` : `${name}:ip:${req.ip}`),
+    handler: (req, res) => {
+      logBlocked(req, `rate limit ${name}/${by}${by === 'contact' ? ` (${requestContactKey(req)})` : ''}`);
+      res.status(429).json({ ok: false, error: tr(requestLang(req), 'errors.rateLimited') });
+    },
+  });
+}
+
+// Ответ — страница входа с ошибкой, а не JSON: форму отправляет браузер
+function adminLoginLimit() {
+  return rateLimit({
+    windowMs: RATE_WINDOW_MS,
+    limit: ADMIN_LOGIN_ATTEMPTS,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    skipSuccessfulRequests: true,
+    keyGenerator: (req) => `login:ip:${req.ip}`,
+    handler: (req, res) => {
+      logBlocked(req, 'rate limit login');
+      sendHtml(res.status(429), getAdminLoginHtml({ next: safeNext(req.body.next), error: 'Слишком много неудачных попыток. Попробуйте через 15 минут.' }));
+    },
+  });
+}
+
+function requestContactKey(req) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const [first] = contactKeys({ contacts: String(body.contacts || ''), email: String(body.email || '') });
+  return first || '';
+}
+
+// Ловушка для ботов: поле website на странице скрыто, человек его не заполняет;
+// formRenderedAt — время отрисовки страницы, быстрее MIN_FILL_MS заявку не заполнить
+function spamGuard(req, res, next) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const renderedAt = Number(body.formRenderedAt);
+  let reason = '';
+  if (String(body[HONEYPOT_FIELD] || '').trim()) reason = 'honeypot filled';
+  else if (!renderedAt) reason = 'no form timestamp';
+  else if (Date.now() - renderedAt < MIN_FILL_MS) reason = `filled in ${Date.now() - renderedAt} ms`;
+  if (!reason) return next();
+  logBlocked(req, reason);
+  res.status(400).json({ ok: false, error: tr(requestLang(req), 'errors.spam') });
+}
+
+// ------------------------ Locales ------------------------
+// Язык формы и всего, что получает клуб (документы, письмо-подтверждение, сообщения об ошибках).
+// Организаторские выгрузки, отчёты и /admin — всегда на русском.
+const LANGS = ['ru', 'en'];
+const DEFAULT_LANG = 'ru';
+const LANG_COOKIE = 'lang';
+
+const MESSAGES = {
+  ru: {
+    doc: {
+      title: 'ЗАЯВКА',
+      subtitle: 'на участие в открытом турнире по художественной гимнастике',
+      fileName: 'Заявка',
+      club: 'Название клуба/спортивной школы',
+      city: 'Город',
+      contacts: 'Контакты (телефон, электронная почта)',
+      coach: 'Тренер (Ф.И.О)',
+      judges: 'Судьи',
+      judgeName: 'ФИО судьи',
+      judgeCategory: 'Судейская категория',
+      judgeContacts: 'Контакты судьи (телефон, эл. почта)',
+      idx: '№\nп/п',
+      name: 'ФИО гимнастки',
+      birthYear: 'Год рождения',
+      hasRank: 'Имеет разряд',
+      performingRank: 'Выступает разряд',
+      medicalVisa: 'Виза врача',
+      groupName: 'Название группы',
+      apparatus: 'Предмет',
+      members: 'Состав (ФИО, год рождения)',
+      individual: 'Индивидуальные упражнения',
+      group: 'Групповые упражнения',
+    },
+    page: {
+      title: 'Заявка',
+      closed: '{message} — отправить заявку сейчас нельзя.',
+      editing: 'Вы изменяете заявку, поданную {date}. После отправки новая версия заменит прежнюю.',
+      email: 'Эл. почта для подтверждения заявки',
+      clubPlaceholder: 'Введите название',
+      cityPlaceholder: 'Например: Мытищи',
+      addJudge: '+ Добавить судью',
+      removeJudge: '− Удалить последнего',
+      import: 'Загрузить список из Excel/CSV',
+      template: 'Скачать шаблон',
+      addGroup: '+ Добавить группу',
+      addRow: '+ Добавить участницу',
+      removeRow: '− Удалить последнюю',
+      docx: 'Скачать .docx',
+      pdf: 'Скачать PDF',
+      submit: 'Отправить',
+      honeypot: 'Сайт',
+      draftRestore: 'Восстановить',
+      draftDiscard: 'Удалить черновик',
+      draftSave: 'Сохранить черновик на сервере',
+      draftCode: 'Код черновика',
+      draftOpen: 'Открыть по коду',
+      opens: 'Приём заявок откроется {date}',
+      closedAt: 'Приём заявок закрыт {date}',
+      until: 'Приём заявок до {date}',
+    },
+    // строки для скрипта страницы
+    js: {
+      numberLocale: 'ru-RU',
+      namePlaceholder: 'ФИО',
+      readFailed: 'Не удалось прочитать файл',
+      imported: 'Загружено участниц: {n}.',
+      skipped: 'Строка {row} пропущена: {reason}.',
+      unmapped: 'Не распознаны столбцы: {columns}.',
+      network: 'Сеть/сервер недоступны',
+      group: 'Группа {n}',
+      removeGroup: 'Удалить группу',
+      groupName: 'Название группы',
+      performingRank: 'Выступает разряд',
+      apparatus: 'Предмет',
+      apparatusPlaceholder: 'б/п, мяч, обруч…',
+      memberName: 'ФИО гимнастки',
+      birthYear: 'Год рождения',
+      addMember: '+ Гимнастка',
+      removeMember: '− Удалить последнюю',
+      fileName: 'Заявка',
+      checkFields: 'Проверьте выделенные поля ({n})',
+      submit: 'Отправить',
+      submitAnyway: 'Отправить всё равно',
+      conflicts: 'Похоже, часть данных уже есть в других заявках. Проверьте и нажмите «Отправить всё равно», если всё верно.',
+      error: 'Ошибка: ',
+      sent: 'Заявка сохранена и отправлена организаторам.',
+      pending: 'Заявка сохранена. Письмо организаторам пока не ушло — мы отправим его автоматически, повторно нажимать «Отправить» не нужно.',
+      waitlisted: 'Категории заполнены, в листе ожидания: {names}.',
+      confirmationSent: 'Подтверждение отправлено на {email}.',
+      confirmationPending: 'Подтверждение на {email} придёт чуть позже.',
+      editLink: 'Ссылка для изменения заявки: ',
+      fee: 'Стартовый взнос: ',
+      discount: 'скидка {percent}%',
+      pdfFailed: 'Не удалось сформировать PDF',
+      docxFailed: 'Не удалось сформировать .docx',
+      draftFound: 'На этом устройстве есть неотправленный черновик заявки от {time}.',
+      draftSaved: 'Черновик сохранён до {date}. Код: {code} — введите его в форме на другом устройстве или откройте ссылку: ',
+      draftLoaded: 'Черновик {code} загружен.',
+      draftCodeMissing: 'Введите код черновика',
+    },
+    visa: { 'Да': 'Да', 'Нет': 'Нет' },
+    errors: {
+      invalid: 'Проверьте заполнение формы',
+      saveFailed: 'Не удалось сохранить заявку',
+      foreignOrigin: 'Запросы с этого сайта не принимаются',
+      rateLimited: 'Слишком много запросов. Попробуйте через несколько минут.',
+      spam: 'Заявка не принята. Обновите страницу и попробуйте ещё раз.',
+      draftFailed: 'Не удалось сохранить черновик',
+      draftLimit: 'Слишком много черновиков — отправьте или удалите прежние, либо попробуйте позже',
+      draftNotFound: 'Черновик не найден: проверьте код. Черновики хранятся {days} дн. после последнего сохранения.',
+      club: 'Укажите название клуба/спортивной школы',
+      city: 'Укажите город',
+      coach: 'Укажите Ф.И.О. тренера',
+      contacts: 'Укажите телефон или электронную почту',
+      contactsFormat: 'Нужен телефон (не менее 10 цифр) или адрес электронной почты',
+      email: 'Неверный адрес электронной почты',
+      tooLong: 'Слишком длинное значение (не больше {max} символов)',
+      maxParticipants: 'Не больше {max} участниц в одной заявке',
+      maxGroups: 'Не больше {max} групп в одной заявке',
+      noEntries: 'Добавьте хотя бы одну участницу или группу',
+      emptyRow: 'Пустая строка — заполните или удалите её',
+      name: 'Укажите ФИО гимнастки',
+      birthYear: 'Укажите год рождения',
+      birthYearInvalid: 'Неверная дата рождения',
+      performingRank: 'Укажите разряд, по которому выступает',
+      rankFromList: 'Выберите разряд из списка',
+      rankYears: 'По разряду «{rank}» выступают гимнастки {span}',
+      yearsBetween: '{from}–{to} г.р.',
+      yearsFrom: '{from} г.р. и младше',
+      yearsTo: '{to} г.р. и старше',
+      lowerRank: 'Нельзя выступать ниже имеющегося разряда ({rank})',
+      visa: 'Выберите «Да» или «Нет»',
+      emptyGroup: 'Пустая группа — заполните или удалите её',
+      groupName: 'Укажите название группы',
+      groupRank: 'Укажите разряд, по которому выступает группа',
+      groupSize: 'В группе должно быть от {min} до {max} гимнасток',
+      maxJudges: 'Не больше {max} судей в одной заявке',
+      judgeName: 'Укажите ФИО судьи',
+      judgeCategory: 'Выберите судейскую категорию',
+      judgeCategoryFromList: 'Выберите категорию из списка',
+    },
+    conflicts: {
+      duplicate: 'От клуба «{club}» с теми же контактами уже есть заявка от {date}. ' +
+        'Чтобы изменить её, откройте ссылку из письма-подтверждения — иначе гимнастки будут учтены дважды.',
+      gymnast: '{name} ({year} г.р.) уже есть в другой заявке на этот турнир — организаторы проверят совпадение.',
+    },
+    roster: {
+      sheet: 'Участницы',
+      fileName: 'Шаблон_участницы.xlsx',
+      idx: '№ п/п',
+      empty: 'Файл пустой',
+      unreadable: 'Не удалось прочитать файл: нужен .xlsx или .csv',
+      noHeaders: 'Заголовки столбцов не распознаны — столбцы взяты по порядку шаблона',
+      noName: 'нет ФИО',
+      tooMany: 'больше {max} участниц',
+      badYear: 'Строка {row}: не распознан год рождения «{value}»',
+      yearOnly: 'Строка {row}: указан только год рождения — выберите дату в форме',
+      badRank: 'Строка {row}: не распознан разряд «{value}» ({field})',
+      hasRank: 'имеет разряд',
+      performingRank: 'выступает разряд',
+    },
+    fees: {
+      group: '{type}: «{name}»',
+    },
+    mail: {
+      subject: 'Ваша заявка принята{edited} — {tournament}',
+      edited: ' (изменение №{n})',
+      hello: 'Здравствуйте!',
+      received: 'Заявка клуба «{club}» на турнир «{tournament}» ({place}) получена.',
+      counts: 'Участниц: {participants}{groups}. Заявка во вложении.',
+      groups: ', групп: {n}',
+      waitlistTitle: 'Категории заполнены, в листе ожидания:',
+      waitlistNote: 'Остальные гимнастки в основном составе. Если место освободится, мы пришлём новое подтверждение.',
+      fee: 'Стартовый взнос: {total}. Счёт на оплату во вложении.',
+      editHint: 'Чтобы исправить заявку, откройте ссылку (не пересылайте её посторонним):',
+      receivedHtml: 'Заявка на турнир <b>«{tournament}»</b> ({place}) получена. Заявка в формате .docx — во вложении.',
+      club: 'Клуб/школа',
+      city: 'Город',
+      contacts: 'Контакты',
+      coach: 'Тренер',
+      judges: 'Судьи',
+      members: 'Состав',
+      status: 'Статус',
+      waitlisted: 'Лист ожидания',
+      confirmed: 'Подтверждена',
+      waitlistHtml: 'Категории заполнены: гимнастки со статусом «Лист ожидания» пока не включены в стартовые протоколы. Если место освободится, мы пришлём новое подтверждение.',
+      feeHtml: 'Стартовый взнос: <b>{total}</b>{discount}. Счёт на оплату — во вложении.',
+      feeDiscount: ' (с учётом скидки {percent}%)',
+      editHtml: 'Нужно что-то исправить? <a href="{url}">Откройте заявку по этой ссылке</a>, внесите изменения и отправьте снова — новая версия заменит прежнюю.',
+      personal: 'Ссылка личная: по ней любой может изменить заявку, не пересылайте её.',
+    },
+    invoice: {
+      fileName: 'Счёт',
+      title: 'СЧЁТ № {number} от {date}',
+      head: ['№', 'Наименование', 'Кол-во', 'Цена', 'Сумма'],
+      line: 'Стартовый взнос: {title}',
+      subtotal: 'Итого без скидки',
+      discount: 'Скидка {percent}%',
+      total: 'Итого к оплате',
+      recipient: 'Получатель',
+      innKpp: 'ИНН / КПП',
+      account: 'Расчётный счёт',
+      bank: 'Банк',
+      bik: 'БИК',
+      correspondentAccount: 'Корр. счёт',
+      noDetails: 'Реквизиты для оплаты сообщат организаторы турнира.',
+      payer: 'Плательщик',
+      tournament: 'Турнир',
+      purposeLabel: 'Назначение платежа',
+      purposeDefault: 'Стартовый взнос',
+      purpose: '{purpose} за участие в турнире «{tournament}» по счёту № {number}, {club}',
+    },
+  },
+  en: {
+    doc: {
+      title: 'ENTRY FORM',
+      subtitle: 'for the open rhythmic gymnastics tournament',
+      fileName: 'Entry',
+      club: 'Club / sports school',
+      city: 'City',
+      contacts: 'Contacts (phone, e-mail)',
+      coach: 'Coach (full name)',
+      judges: 'Judges',
+      judgeName: 'Judge (full name)',
+      judgeCategory: 'Judging category',
+      judgeContacts: 'Judge contacts (phone, e-mail)',
+      idx: 'No.',
+      name: 'Gymnast (full name)',
+      birthYear: 'Date of birth',
+      hasRank: 'Current rank',
+      performingRank: 'Competes at rank',
+      medicalVisa: 'Medical clearance',
+      groupName: 'Group name',
+      apparatus: 'Apparatus',
+      members: 'Members (name, date of birth)',
+      individual: 'Individual exercises',
+      group: 'Group exercises',
+    },
+    page: {
+      title: 'Entry form',
+      closed: '{message} — entries cannot be submitted now.',
+      editing: 'You are editing the entry submitted on {date}. Once sent, the new version replaces the previous one.',
+      email: 'E-mail for the confirmation',
+      clubPlaceholder: 'Club name',
+      cityPlaceholder: 'e.g. Riga',
+      addJudge: '+ Add judge',
+      removeJudge: '− Remove last',
+      import: 'Load list from Excel/CSV',
+      template: 'Download template',
+      addGroup: '+ Add group',
+      addRow: '+ Add gymnast',
+      removeRow: '− Remove last',
+      docx: 'Download .docx',
+      pdf: 'Download PDF',
+      submit: 'Submit',
+      honeypot: 'Website',
+      draftRestore: 'Restore',
+      draftDiscard: 'Discard draft',
+      draftSave: 'Save draft on the server',
+      draftCode: 'Draft code',
+      draftOpen: 'Open by code',
+      opens: 'Entries open on {date}',
+      closedAt: 'Entries closed on {date}',
+      until: 'Entries are accepted until {date}',
+    },
+    js: {
+      numberLocale: 'en-GB',
+      namePlaceholder: 'Full name',
+      readFailed: 'Could not read the file',
+      imported: 'Gymnasts loaded: {n}.',
+      skipped: 'Row {row} skipped: {reason}.',
+      unmapped: 'Columns not recognised: {columns}.',
+      network: 'Network or server unavailable',
+      group: 'Group {n}',
+      removeGroup: 'Remove group',
+      groupName: 'Group name',
+      performingRank: 'Competes at rank',
+      apparatus: 'Apparatus',
+      apparatusPlaceholder: 'free hands, ball, hoop…',
+      memberName: 'Gymnast (full name)',
+      birthYear: 'Date of birth',
+      addMember: '+ Gymnast',
+      removeMember: '− Remove last',
+      fileName: 'Entry',
+      checkFields: 'Please check the highlighted fields ({n})',
+      submit: 'Submit',
+      submitAnyway: 'Submit anyway',
+      conflicts: 'Some of this data already appears in other entries. Please check it and press “Submit anyway” if everything is correct.',
+      error: 'Error: ',
+      sent: 'The entry is saved and sent to the organizers.',
+      pending: 'The entry is saved. The e-mail to the organizers has not gone out yet — it will be sent automatically, there is no need to press “Submit” again.',
+      waitlisted: 'Categories are full, on the waiting list: {names}.',
+      confirmationSent: 'A confirmation was sent to {email}.',
+      confirmationPending: 'A confirmation to {email} will arrive shortly.',
+      editLink: 'Link to edit the entry: ',
+      fee: 'Entry fee: ',
+      discount: '{percent}% discount',
+      pdfFailed: 'Could not generate the PDF',
+      docxFailed: 'Could not generate the .docx',
+      draftFound: 'This device has an unsent draft of the entry from {time}.',
+      draftSaved: 'The draft is saved until {date}. Code: {code} — enter it in the form on another device or open the link: ',
+      draftLoaded: 'Draft {code} loaded.',
+      draftCodeMissing: 'Enter the draft code',
+    },
+    visa: { 'Да': 'Yes', 'Нет': 'No' },
+    errors: {
+      invalid: 'Please check the form',
+      saveFailed: 'Could not save the entry',
+      foreignOrigin: 'Requests from this site are not accepted',
+      rateLimited: 'Too many requests. Please try again in a few minutes.',
+      spam: 'The entry was not accepted. Please reload the page and try again.',
+      draftFailed: 'Could not save the draft',
+      draftLimit: 'Too many drafts — submit or discard the earlier ones, or try again later',
+      draftNotFound: 'Draft not found: please check the code. Drafts are kept for {days} days after the last save.',
+      club: 'Enter the club / sports school',
+      city: 'Enter the city',
+      coach: 'Enter the coach’s full name',
+      contacts: 'Enter a phone number or e-mail',
+      contactsFormat: 'A phone number (at least 10 digits) or an e-mail address is required',
+      email: 'Invalid e-mail address',
+      tooLong: 'Too long (at most {max} characters)',
+      maxParticipants: 'At most {max} gymnasts per entry',
+      maxGroups: 'At most {max} groups per entry',
+      noEntries: 'Add at least one gymnast or group',
+      emptyRow: 'Empty row — fill it in or remove it',
+      name: 'Enter the gymnast’s full name',
+      birthYear: 'Enter the date of birth',
+      birthYearInvalid: 'Invalid date of birth',
+      performingRank: 'Choose the rank she competes at',
+      rankFromList: 'Choose a rank from the list',
+      rankYears: 'Rank “{rank}” is for gymnasts born {span}',
+      yearsBetween: 'in {from}–{to}',
+      yearsFrom: 'in {from} or later',
+      yearsTo: 'in {to} or earlier',
+      lowerRank: 'Cannot compete below the current rank ({rank})',
+      visa: 'Choose “Yes” or “No”',
+      emptyGroup: 'Empty group — fill it in or remove it',
+      groupName: 'Enter the group name',
+      groupRank: 'Choose the rank the group competes at',
+      groupSize: 'A group must have {min} to {max} gymnasts',
+      maxJudges: 'At most {max} judges per entry',
+      judgeName: 'Enter the judge’s full name',
+      judgeCategory: 'Choose the judging category',
+      judgeCategoryFromList: 'Choose a category from the list',
+    },
+    conflicts: {
+      duplicate: 'Club “{club}” with the same contacts already submitted an entry on {date}. ' +
+        'To change it, open the link from the confirmation e-mail — otherwise the gymnasts will be counted twice.',
+      gymnast: '{name} (born {year}) already appears in another entry for this tournament; the organizers will check it.',
+    },
+    roster: {
+      sheet: 'Gymnasts',
+      fileName: 'Template_gymnasts.xlsx',
+      idx: 'No.',
+      empty: 'The file is empty',
+      unreadable: 'Could not read the file: .xlsx or .csv is required',
+      noHeaders: 'Column headers not recognised — columns are taken in template order',
+      noName: 'no name',
+      tooMany: 'more than {max} gymnasts',
+      badYear: 'Row {row}: date of birth “{value}” not recognised',
+      yearOnly: 'Row {row}: only the year of birth is given — pick the date in the form',
+      badRank: 'Row {row}: rank “{value}” not recognised ({field})',
+      hasRank: 'current rank',
+      performingRank: 'competes at rank',
+    },
+    fees: {
+      group: '{type}: “{name}”',
+    },
+    mail: {
+      subject: 'Your entry is received{edited} — {tournament}',
+      edited: ' (change No. {n})',
+      hello: 'Hello!',
+      received: 'The entry of “{club}” for “{tournament}” ({place}) has been received.',
+      counts: 'Gymnasts: {participants}{groups}. The entry form is attached.',
+      groups: ', groups: {n}',
+      waitlistTitle: 'Categories are full, on the waiting list:',
+      waitlistNote: 'All other gymnasts are confirmed. If a place becomes free, we will send a new confirmation.',
+      fee: 'Entry fee: {total}. The invoice is attached.',
+      editHint: 'To correct the entry, open this link (do not share it):',
+      receivedHtml: 'Your entry for <b>“{tournament}”</b> ({place}) has been received. The entry form (.docx) is attached.',
+      club: 'Club / school',
+      city: 'City',
+      contacts: 'Contacts',
+      coach: 'Coach',
+      judges: 'Judges',
+      members: 'Members',
+      status: 'Status',
+      waitlisted: 'Waiting list',
+      confirmed: 'Confirmed',
+      waitlistHtml: 'Categories are full: gymnasts marked “Waiting list” are not in the start lists yet. If a place becomes free, we will send a new confirmation.',
+      feeHtml: 'Entry fee: <b>{total}</b>{discount}. The invoice is attached.',
+      feeDiscount: ' (including a {percent}% discount)',
+      editHtml: 'Need to change something? <a href="{url}">Open the entry with this link</a>, make the changes and submit again — the new version replaces the previous one.',
+      personal: 'The link is personal: anyone with it can change the entry, please do not forward it.',
+    },
+    invoice: {
+      fileName: 'Invoice',
+      title: 'INVOICE No. {number} of {date}',
+      head: ['No.', 'Description', 'Qty', 'Price', 'Amount'],
+      line: 'Entry fee: {title}',
+      subtotal: 'Total before discount',
+      discount: 'Discount {percent}%',
+      total: 'Total due',
+      recipient: 'Recipient',
+      innKpp: 'INN / KPP',
+      account: 'Account',
+      bank: 'Bank',
+      bik: 'BIC',
+      correspondentAccount: 'Correspondent account',
+      noDetails: 'Payment details will be sent by the organizers.',
+      payer: 'Payer',
+      tournament: 'Tournament',
+      purposeLabel: 'Payment reference',
+      purposeDefault: 'Entry fee',
+      purpose: '{purpose} for “{tournament}”, invoice No. {number}, {club}',
+    },
+  },
+};
+
+function normalizeLang(v) {
+  const lang = String(v || '').trim().toLowerCase().slice(0, 2);
+  return LANGS.includes(lang) ? lang : DEFAULT_LANG;
+}
+
+// tr('en', 'errors.tooLong', { max: 200 }); нет перевода — берём русский текст, нет и его — сам ключ
+function tr(lang, key, params = {}) {
+  const lookup = (l) => key.split('.').reduce((node, k) => (node == null ? node : node[k]), MESSAGES[l]);
+  const text = lookup(normalizeLang(lang)) ?? lookup(DEFAULT_LANG) ?? key;
+  return typeof text === 'string' ? text.replace(/\{(\w+)\}/g, (all, k) => (params[k] != null ? params[k] : all)) : text;
+}
+
+// ?lang= → поле lang в JSON → cookie → fallback (язык сохранённой заявки) → Accept-Language
+function requestLang(req, fallback = '') {
+  const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+  const explicit = req.query.lang || body.lang || readCookie(req, LANG_COOKIE) || fallback;
+  return explicit ? normalizeLang(explicit) : (req.acceptsLanguages(...LANGS) || DEFAULT_LANG);
+}
+
+// Выбор на переключателе языка запоминаем на год
+function rememberLang(req, res) {
+  if (req.query.lang) res.setHeader('Set-Cookie', `${LANG_COOKIE}=${normalizeLang(req.query.lang)}; Path=/; SameSite=Lax; Max-Age=${365 * 24 * 3600}`);
+}
+
+// Разряд для документа на языке клуба; значение в заявке всегда каноническое (RANKS.value)
+function rankText(rank, lang) {
+  const found = normalizeLang(lang) === 'en' && RANKS.find((r) => r.value === rank);
+  return found ? found.en : rank || '';
+}
+
+function visaText(visa, lang) {
+  return MESSAGES[normalizeLang(lang)].visa[visa] || visa || '';
+}
+
+function judgeCategoryText(category, lang) {
+  const found = normalizeLang(lang) === 'en' && JUDGE_CATEGORIES.find((c) => c.value === category);
+  return found ? found.en : category || '';
+}
+
+// Копия заявки для организаторов: их документы всегда на основном языке, каким бы ни подавал клуб
+function organizerData(data) {
+  return { ...data, lang: DEFAULT_LANG };
+}
+
+// Название, подзаголовок и место турнира на языке клуба (tournaments.json → translations)
+function localizeTournament(t, lang) {
+  lang = normalizeLang(lang);
+  if (lang === DEFAULT_LANG) return t;
+  const own = t.translations[lang] || {};
+  return {
+    ...t,
+    name: own.name || t.name,
+    subtitle: own.subtitle || tr(lang, 'doc.subtitle'),
+    city: own.city || t.city,
+    venue: own.venue || t.venue,
+  };
+}
+
+// ------------------------ Helpers ------------------------
+function sanitizeSubmission(b) {
+  const pick = (v) => (v == null ? '' : String(v).trim());
+  b = b && typeof b === 'object' ? b : {};
+  return {
+    date: pick(b.date) || dayjs().format('DD.MM.YYYY'),
+    lang: normalizeLang(b.lang),
+    city: pick(b.city),
+    club: pick(b.club),
+    contacts: pick(b.contacts),
+    email: pick(b.email),
+    coach: pick(b.coach),
+    judges: (Array.isArray(b.judges) ? b.judges : legacyJudges(b)).map((j, i) => ({
+      idx: i + 1,
+      name: pick(j && j.name),
+      category: canonicalJudgeCategory(pick(j && j.category)),
+      contacts: pick(j && j.contacts),
+    })),
+    participants: Array.isArray(b.participants)
+      ? b.participants.map((p, i) => ({
+          idx: i + 1,
+          name: pick(p && p.name),
+          birthYear: normalizeBirthDate(pick(p && p.birthYear)),
+          hasRank: canonicalRank(pick(p && p.hasRank), { held: true }),
+          performingRank: canonicalRank(pick(p && p.performingRank)),
+          medicalVisa: canonicalVisa(pick(p && p.medicalVisa)),
+        }))
+      : [],
+    groups: Array.isArray(b.groups)
+      ? b.groups.map((g, i) => ({
+          idx: i + 1,
+          name: pick(g && g.name),
+          performingRank: canonicalRank(pick(g && g.performingRank)),
+          apparatus: pick(g && g.apparatus),
+          members: Array.isArray(g && g.members)
+            ? g.members.map((m, j) => ({ idx: j + 1, name: pick(m && m.name), birthYear: normalizeBirthDate(pick(m && m.birthYear)) }))
+            : [],
+        }))
+      : [],
+  };
+}
+
+// Разрядная лестница по возрастанию: от «без разряда» до КМС.
+// aliases — варианты написания (после compactRank), которые приводим к value
+// en — название в документах на английском (см. rankText)
+const RANKS = [
+  { value: 'б/р', label: 'б/р (без разряда)', en: 'No rank', aliases: ['бр', 'безразряда', 'нет', '0', 'norank', 'none'] },
+  { value: '3 юн.', label: '3 юношеский', en: '3rd junior', aliases: ['3юн', '3юношеский', '3ю', '3юнош', '3rdjunior'] },
+  { value: '2 юн.', label: '2 юношеский', en: '2nd junior', aliases: ['2юн', '2юношеский', '2ю', '2юнош', '2ndjunior'] },
+  { value: '1 юн.', label: '1 юношеский', en: '1st junior', aliases: ['1юн', '1юношеский', '1ю', '1юнош', '1stjunior'] },
+  { value: '3 сп.', label: '3 спортивный', en: '3rd class', aliases: ['3сп', '3спортивный', '3разряд', '3р', '3взр', '3взрослый', '3rdclass'] },
+  { value: '2 сп.', label: '2 спортивный', en: '2nd class', aliases: ['2сп', '2спортивный', '2разряд', '2р', '2взр', '2взрослый', '2ndclass'] },
+  { value: '1 сп.', label: '1 спортивный', en: '1st class', aliases: ['1сп', '1спортивный', '1разряд', '1р', '1взр', '1взрослый', '1stclass'] },
+  { value: 'КМС', label: 'КМС', en: 'CMS', aliases: ['кмс', 'кандидатвмастераспорта', 'cms', 'candidatemasterofsport'] },
+];
+const MEDICAL_VISAS = ['Да', 'Нет'];
+// Судейские категории от высшей; aliases — как у RANKS, после compactRank
+const JUDGE_CATEGORIES = [
+  { value: 'ВК', label: 'ВК (всероссийская)', en: 'National (ВК)', aliases: ['вк', 'vk', 'всероссийская', 'всероссийскаякатегория', 'national'] },
+  { value: '1К', label: '1К (первая)', en: '1st category', aliases: ['1к', '1k', '1', '1категория', 'первая', 'перваякатегория', '1stcategory'] },
+  { value: '2К', label: '2К (вторая)', en: '2nd category', aliases: ['2к', '2k', '2', '2категория', 'вторая', 'втораякатегория', '2ndcategory'] },
+  { value: '3К', label: '3К (третья)', en: '3rd category', aliases: ['3к', '3k', '3', '3категория', 'третья', 'третьякатегория', '3rdcategory'] },
+  { value: 'юный судья', label: 'юный судья', en: 'Junior judge', aliases: ['юный', 'юныйсудья', 'юс', 'junior', 'juniorjudge'] },
+];
+
+function compactRank(v) {
+  return String(v || '').toLowerCase().replace(/ё/g, 'е').replace(/[\s.,/-]+/g, '');
+}
+
+// Свободный текст → значение из RANKS; нераспознанное возвращаем как есть (его поймает проверка).
+// held — поле «Имеет разряд»: там по старому шаблону пишут «Да, 2 юн» или «Нет»
+function canonicalRank(v, { held = false } = {}) {
+  let key = compactRank(v);
+  if (held) key = key.replace(/^(да|есть)(?=.)/, '');
+  if (!key) return '';
+  const rank = RANKS.find((r) => compactRank(r.value) === key || r.aliases.includes(key));
+  return rank ? rank.value : String(v).trim();
+}
+
+// «2 юн.», «2 юн» и «2Юн» — один и тот же разряд
+function rankKey(rank) {
+  return compactRank(canonicalRank(rank));
+}
+
+// -1 — не из списка
+function rankLevel(rank) {
+  return RANKS.findIndex((r) => r.value === canonicalRank(rank));
+}
+
+function canonicalVisa(v) {
+  const key = String(v || '').trim().toLowerCase();
+  if (!key) return '';
+  if (/^(да|есть|имеется|\+|yes|ok)/.test(key)) return 'Да';
+  if (/^(нет|-|no)/.test(key)) return 'Нет';
+  return String(v).trim();
+}
+
+// «1 категория», «1k», «Юный судья» → значение из JUDGE_CATEGORIES; нераспознанное — как есть
+function canonicalJudgeCategory(v) {
+  const key = compactRank(v);
+  if (!key) return '';
+  const category = JUDGE_CATEGORIES.find((c) => compactRank(c.value) === key || c.aliases.includes(key));
+  return category ? category.value : String(v).trim();
+}
+
+// Прежняя форма и старые клиенты API присылали одного судью в полях judge/judgeCategory
+function legacyJudges(b) {
+  return b.judge || b.judgeCategory ? [{ name: b.judge, category: b.judgeCategory }] : [];
+}
+
+// Дата из поля type=date (гггг-мм-дд) или «д.м.гггг» → «дд.мм.гггг»; голый год оставляем (старые заявки)
+function normalizeBirthDate(v) {
+  let m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v);
+  if (m) return `${m[3]}.${m[2]}.${m[1]}`;
+  m = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(v);
+  if (m) return `${m[1].padStart(2, '0')}.${m[2].padStart(2, '0')}.${m[3]}`;
+  return v;
+}
+
+// Проверка заявки. Возвращает список ошибок вида { field, message },
+// где field — путь поля на странице: 'club', 'participants.0.name' и т.п.
+// tournament — для правил допуска (eligibility); без него проверяются только сами поля
+const MIN_AGE = 3;
+const MAX_AGE = 40;
+const PHONE_RE = /(?:\+?\d[\s()-]*){10,}/;
+const EMAIL_RE = /[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+/;
+const GROUP_MIN_MEMBERS = 3;
+const GROUP_MAX_MEMBERS = 8;
+const MAX_PARTICIPANTS = 200;
+const MAX_GROUPS = 30;
+const MAX_JUDGES = 20;
+const MAX_FIELD_LENGTH = 200;
+const MAX_CONTACTS_LENGTH = 500;
+
+// Длина полей и число записей — общие для заявки и черновика (его сохраняют без проверки остального)
+function sizeErrors(data) {
+  const errors = [];
+  const fail = (field, key, params) => errors.push({ field, message: tr(data.lang, `errors.${key}`, params) });
+  const tooLong = (field, value, max = MAX_FIELD_LENGTH) => {
+    if (String(value || '').length > max) fail(field, 'tooLong', { max });
+  };
+  ['club', 'city', 'email', 'coach'].forEach((f) => tooLong(f, data[f]));
+  tooLong('contacts', data.contacts, MAX_CONTACTS_LENGTH);
+  if (data.participants.length > MAX_PARTICIPANTS) fail('participants', 'maxParticipants', { max: MAX_PARTICIPANTS });
+  if (data.groups.length > MAX_GROUPS) fail('participants', 'maxGroups', { max: MAX_GROUPS });
+  if (data.judges.length > MAX_JUDGES) fail('judges', 'maxJudges', { max: MAX_JUDGES });
+  if (errors.length && (data.participants.length > MAX_PARTICIPANTS || data.groups.length > MAX_GROUPS || data.judges.length > MAX_JUDGES)) return errors;
+  data.judges.forEach((j, i) => {
+    ['name', 'category'].forEach((f) => tooLong(`judges.${i}.${f}`, j[f]));
+    tooLong(`judges.${i}.contacts`, j.contacts, MAX_CONTACTS_LENGTH);
+  });
+  data.participants.forEach((p, i) => ['name', 'birthYear', 'hasRank', 'performingRank', 'medicalVisa'].forEach((f) => tooLong(`participants.${i}.${f}`, p[f])));
+  data.groups.forEach((g, i) => {
+    ['name', 'performingRank', 'apparatus'].forEach((f) => tooLong(`groups.${i}.${f}`, g[f]));
+    if (g.members.length > GROUP_MAX_MEMBERS * 2) fail(`groups.${i}.members`, 'groupSize', { min: GROUP_MIN_MEMBERS, max: GROUP_MAX_MEMBERS });
+    g.members.slice(0, GROUP_MAX_MEMBERS * 2).forEach((m, j) => ['name', 'birthYear'].forEach((f) => tooLong(`groups.${i}.members.${j}.${f}`, m[f])));
+  });
+  return errors;
+}
+
+function validateSubmission(data, tournament = null) {
+  const errors = [];
+  // сообщения — на языке, выбранном на странице
+  const fail = (field, key, params) => errors.push({ field, message: tr(data.lang, `errors.${key}`, params) });
+  const rules = tournament && tournament.eligibility;
+  // Разряд из списка и годы рождения, допустимые для него по правилам турнира
+  const checkRank = (field, rank, birthDates) => {
+    if (rankLevel(rank) < 0) return fail(field, 'rankFromList');
+    const range = rules && rules.birthYears[rankKey(rank)];
+    if (!range) return;
+    const years = birthDates.map(parseBirthYear).filter((y) => y != null);
+    if (years.some((y) => (range.from && y < range.from) || (range.to && y > range.to))) {
+      const span = tr(data.lang, `errors.${range.from && range.to ? 'yearsBetween' : range.from ? 'yearsFrom' : 'yearsTo'}`, range);
+      fail(field, 'rankYears', { rank: rankText(rank, data.lang), span });
+    }
+  };
+  const groupSize = { min: GROUP_MIN_MEMBERS, max: GROUP_MAX_MEMBERS };
+
+  if (!data.club) fail('club', 'club');
+  if (!data.city) fail('city', 'city');
+  if (!data.coach) fail('coach', 'coach');
+  if (!data.contacts) fail('contacts', 'contacts');
+  else if (!PHONE_RE.test(data.contacts) && !EMAIL_RE.test(data.contacts)) fail('contacts', 'contactsFormat');
+  if (data.email && !EMAIL_RE.test(data.email)) fail('email', 'email');
+
+  // Длина полей и размер заявки: дальше по длинным спискам не идём
+  errors.push(...sizeErrors(data));
+  if (data.participants.length > MAX_PARTICIPANTS || data.groups.length > MAX_GROUPS || data.judges.length > MAX_JUDGES) return errors;
+
+  if (!data.participants.length && !data.groups.length) fail('participants', 'noEntries');
+  data.participants.forEach((p, i) => {
+    const at = (key) => `participants.${i}.${key}`;
+    if (![p.name, p.birthYear, p.hasRank, p.performingRank, p.medicalVisa].some(Boolean)) {
+      fail(at('row'), 'emptyRow');
+      return;
+    }
+    if (!p.name) fail(at('name'), 'name');
+    if (!p.birthYear) fail(at('birthYear'), 'birthYear');
+    else if (parseBirthYear(p.birthYear) == null) fail(at('birthYear'), 'birthYearInvalid');
+    if (!p.performingRank) fail(at('performingRank'), 'performingRank');
+    else checkRank(at('performingRank'), p.performingRank, [p.birthYear]);
+    if (p.hasRank && rankLevel(p.hasRank) < 0) fail(at('hasRank'), 'rankFromList');
+    else if (rules && rules.noLowerRank && p.hasRank && rankLevel(p.performingRank) >= 0 && rankLevel(p.performingRank) < rankLevel(p.hasRank)) {
+      fail(at('performingRank'), 'lowerRank', { rank: rankText(p.hasRank, data.lang) });
+    }
+    if (p.medicalVisa && !MEDICAL_VISAS.includes(p.medicalVisa)) fail(at('medicalVisa'), 'visa');
+  });
+
+  data.groups.forEach((g, i) => {
+    const at = (key) => `groups.${i}.${key}`;
+    const filledMembers = g.members.filter((m) => m.name || m.birthYear);
+    if (![g.name, g.performingRank, g.apparatus].some(Boolean) && !filledMembers.length) {
+      fail(at('row'), 'emptyGroup');
+      return;
+    }
+    if (!g.name) fail(at('name'), 'groupName');
+    if (!g.performingRank) fail(at('performingRank'), 'groupRank');
+    else checkRank(at('performingRank'), g.performingRank, g.members.map((m) => m.birthYear));
+    if (filledMembers.length < GROUP_MIN_MEMBERS || filledMembers.length > GROUP_MAX_MEMBERS) {
+      fail(at('members'), 'groupSize', groupSize);
+    }
+    g.members.forEach((m, j) => {
+      const mat = (key) => at(`members.${j}.${key}`);
+      if (!m.name && !m.birthYear) return fail(mat('row'), 'emptyRow');
+      if (!m.name) fail(mat('name'), 'name');
+      if (!m.birthYear) fail(mat('birthYear'), 'birthYear');
+      else if (parseBirthYear(m.birthYear) == null) fail(mat('birthYear'), 'birthYearInvalid');
+    });
+  });
+
+  // судьи необязательны, но заявленный судья — с ФИО и категорией из списка
+  data.judges.forEach((j, i) => {
+    const at = (key) => `judges.${i}.${key}`;
+    if (![j.name, j.category, j.contacts].some(Boolean)) return fail(at('row'), 'emptyRow');
+    if (!j.name) fail(at('name'), 'judgeName');
+    if (!j.category) fail(at('category'), 'judgeCategory');
+    else if (!JUDGE_CATEGORIES.some((c) => c.value === j.category)) fail(at('category'), 'judgeCategoryFromList');
+    if (j.contacts && !PHONE_RE.test(j.contacts) && !EMAIL_RE.test(j.contacts)) fail(at('contacts'), 'contactsFormat');
+  });
+
+  return errors;
+}
+
+// Принимает «2015» или дату (дд.мм.гггг, гггг-мм-дд); null — если такой даты нет
+// (45.13.2016) или год не похож на правду
+function parseBirthYear(value) {
+  const v = normalizeBirthDate(String(value).trim());
+  let year;
+  if (/^\d{2}\.\d{2}\.\d{4}$/.test(v)) {
+    const date = dayjs(v, 'DD.MM.YYYY', true);
+    if (!date.isValid()) return null;
+    year = date.year();
+  } else {
+    const m = /^(\d{4})(?:\s*г\.?)?$/.exec(v);
+    if (!m) return null;
+    year = Number(m[1]);
+  }
+  const now = dayjs().year();
+  return year >= now - MAX_AGE && year <= now - MIN_AGE ? year : null;
+}
+
+// Адрес для подтверждения: отдельное поле или первый e-mail из «Контактов»
+function clubEmail(data) {
+  const m = EMAIL_RE.exec(data.email || '') || EMAIL_RE.exec(data.contacts || '');
+  return m ? m[0] : '';
+}
+
+function rejectInvalid(res, errors, lang = DEFAULT_LANG) {
+  res.status(400).json({ ok: false, error: tr(lang, 'errors.invalid'), errors });
+}
+
+// «Заявка_Клуб» / «Entry_Club» — без расширения
+function documentFileName(data, kind = 'doc') {
+  return `${tr(data.lang, `${kind}.fileName`)}_${fileSafe(data.club || tr(data.lang, `${kind}.fileName`))}`;
+}
+
+function fileSafe(name) {
+  return name.replace(/[\\/:*?"<>|\n\r]+/g, '_').replace(/\s+/g, ' ').trim();
+}
+
+// Выгрузка для организаторов — на русском, на каком бы языке ни подавали заявку клубы.
+// Прежние submissions*.xlsx с английскими заголовками читает только importLegacyWorkbooks.
+const EXCEL_COLUMNS = [
+    { header: 'ID заявки', key: 'id', width: 38 },
+    { header: 'Статус', key: 'status', width: 12 },
+    { header: 'Оплата', key: 'payment', width: 18 },
+    { header: 'Счёт №', key: 'invoice', width: 10 },
+    { header: 'Взнос', key: 'fee', width: 12 },
+    { header: 'Подана', key: 'ts', width: 20 },
+    { header: 'Дата (в заявке)', key: 'date', width: 18 },
+    { header: 'Язык', key: 'lang', width: 8 },
+    { header: 'Город', key: 'city', width: 16 },
+    { header: 'Клуб/школа', key: 'club', width: 32 },
+    { header: 'Контакты', key: 'contacts', width: 32 },
+    { header: 'Эл. почта', key: 'email', width: 28 },
+    { header: 'Тренер (ФИО)', key: 'coach', width: 28 },
+    { header: 'Судьи', key: 'judges', width: 40 },
+    { header: '№ участницы', key: 'p_idx', width: 12 },
+    { header: 'ФИО гимнастки', key: 'p_name', width: 28 },
+    { header: 'Год рождения', key: 'p_birth', width: 12 },
+    { header: 'Имеет разряд', key: 'p_has', width: 14 },
+    { header: 'Выступает разряд', key: 'p_perf', width: 16 },
+    { header: 'Виза врача', key: 'p_med', width: 12 },
+    { header: 'Участие', key: 'p_entry', width: 16 },
+];
+
+const EXCEL_GROUP_COLUMNS = [
+    { header: 'ID заявки', key: 'id', width: 38 },
+    { header: 'Статус', key: 'status', width: 12 },
+    { header: 'Подана', key: 'ts', width: 20 },
+    { header: 'Клуб/школа', key: 'club', width: 32 },
+    { header: 'Город', key: 'city', width: 16 },
+    { header: 'Тренер (ФИО)', key: 'coach', width: 28 },
+    { header: '№ группы', key: 'g_idx', width: 10 },
+    { header: 'Название группы', key: 'g_name', width: 24 },
+    { header: 'Выступает разряд', key: 'g_perf', width: 16 },
+    { header: 'Предмет', key: 'g_app', width: 16 },
+    { header: '№ гимнастки', key: 'm_idx', width: 12 },
+    { header: 'ФИО гимнастки', key: 'm_name', width: 28 },
+    { header: 'Год рождения', key: 'm_birth', width: 12 },
+];
+
+const EXCEL_JUDGE_COLUMNS = [
+    { header: 'ID заявки', key: 'id', width: 38 },
+    { header: 'Статус', key: 'status', width: 12 },
+    { header: 'Клуб/школа', key: 'club', width: 32 },
+    { header: 'Город', key: 'city', width: 16 },
+    { header: '№ судьи', key: 'j_idx', width: 10 },
+    { header: 'ФИО судьи', key: 'j_name', width: 28 },
+    { header: 'Категория', key: 'j_category', width: 14 },
+    { header: 'Контакты судьи', key: 'j_contacts', width: 32 },
+];
+
+// Выгрузка всех заявок турнира из хранилища; порядок — по времени подачи
+async function buildExcel(tournament) {
+  const wb = new ExcelJS.Workbook();
+  wb.title = tournament.name;
+  const ws = wb.addWorksheet('Заявки');
+  ws.columns = EXCEL_COLUMNS;
+  listSubmissions(tournament).forEach((s) => {
+    const { id, status, createdAt, data } = s;
+    const fee = submissionFee(s);
+    const base = {
+      id, status: SUBMISSION_STATUSES[status], payment: PAYMENT_STATUSES[paymentStatus(s)], invoice: fee ? invoiceNumber(s) : '', fee: fee ? fee.total : '',
+      ts: dayjs(createdAt).format('YYYY-MM-DD HH:mm:ss'), date: data.date, lang: normalizeLang(data.lang), city: data.city, club: data.club,
+      contacts: data.contacts, email: data.email, coach: data.coach, judges: judgesText(data.judges),
+    };
+    if (!data.participants.length) ws.addRow(base);
+    data.participants.forEach((p) => {
+      ws.addRow({ ...base, p_idx: p.idx, p_name: p.name, p_birth: p.birthYear, p_has: p.hasRank, p_perf: p.performingRank, p_med: p.medicalVisa,
+        p_entry: p.waitlisted ? 'Лист ожидания' : 'Подтверждена' });
+    });
+  });
+
+  // Группы — отдельный лист, одна строка на гимнастку группы
+  const wsGroups = wb.addWorksheet('Группы');
+  wsGroups.columns = EXCEL_GROUP_COLUMNS;
+  listSubmissions(tournament).forEach(({ id, status, createdAt, data }) => {
+    (data.groups || []).forEach((g) => {
+      const base = {
+        id, status: SUBMISSION_STATUSES[status], ts: dayjs(createdAt).format('YYYY-MM-DD HH:mm:ss'), club: data.club, city: data.city, coach: data.coach,
+        g_idx: g.idx, g_name: g.name, g_perf: g.performingRank, g_app: g.apparatus,
+      };
+      if (!g.members.length) wsGroups.addRow(base);
+      g.members.forEach((m) => wsGroups.addRow({ ...base, m_idx: m.idx, m_name: m.name, m_birth: m.birthYear }));
+    });
+  });
+
+  // Судьи — по строке на судью
+  const wsJudges = wb.addWorksheet('Судьи');
+  wsJudges.columns = EXCEL_JUDGE_COLUMNS;
+  listSubmissions(tournament).forEach(({ id, status, data }) => {
+    data.judges.forEach((j) => wsJudges.addRow({
+      id, status: SUBMISSION_STATUSES[status], club: data.club, city: data.city,
+      j_idx: j.idx, j_name: j.name, j_category: j.category, j_contacts: j.contacts,
+    }));
+  });
+  return wb.xlsx.writeBuffer();
+}
+
+// to: 'organizer' — текстовое письмо с .docx на адрес турнира;
+// to: 'club' — HTML-подтверждение клубу со сводкой, .docx и ссылкой для изменения заявки
+// pdf — необязательная копия заявки в PDF вторым вложением; invoice — счёт .docx, fee — расчёт взноса.
+// Подтверждение клубу — на языке заявки, письмо организаторам — на русском.
+async function emailDocx(payload, buffer, tournament, { to = 'organizer', editUrl = '', revision = 1, pdf = null, invoice = null, fee = null } = {}) {
+  const fileName = `${documentFileName(payload)}.docx`;
+  const recipient = to === 'club' ? clubEmail(payload) : tournamentRecipient(tournament);
+  if (!recipient) throw new Error(`No recipient for ${to} mail`);
+  const lang = to === 'club' ? payload.lang : DEFAULT_LANG;
+  const edited = revision > 1 ? tr(lang, 'mail.edited', { n: revision - 1 }) : '';
+
+  const content = to === 'club'
+    ? {
+        subject: tr(lang, 'mail.subject', { edited, tournament: localizeTournament(tournament, lang).name }),
+        text: confirmationText(payload, tournament, editUrl, fee),
+        html: confirmationHtml(payload, tournament, editUrl, fee),
+      }
+    : {
+        subject: `Заявка: ${payload.club || 'без названия'}${edited} — ${tournament.name}`,
+        text: [
+          `Турнир: ${tournament.name} (${tournamentPlaceLine(tournament)})`,
+          `Клуб/школа: ${payload.club || '-'}`,
+          `Город: ${payload.city || '-'}`,
+          `Тренер: ${payload.coach || '-'}`,
+          `Контакты: ${payload.contacts || '-'}`,
+          `Судьи: ${judgesText(payload.judges) || '-'}`,
+          `Участниц: ${payload.participants?.length || 0}`,
+          ...(waitlistedNames(payload).length ? [`Лист ожидания: ${waitlistedNames(payload).join(', ')}`] : []),
+          ...((payload.groups || []).length ? [`Групп: ${payload.groups.length}`] : []),
+          ...(fee ? [`Взнос: ${formatMoney(fee.total, fee.currency)}${fee.discount ? ` (скидка ${fee.discount.percent}%)` : ''}`] : []),
+        ].join('\n'),
+      };
+
+  await transporter.sendMail({
+    // В заголовке “From” показываем красивое имя, НО адрес = SMTP_USER
+    from: `"${FROM_NAME}" <${LOGIN_EMAIL}>`,
+
+    to: recipient,
+    ...content,
+
+    attachments: [
+      {
+        filename: fileName,
+        content: buffer,
+        contentType:
+          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      },
+      ...(pdf ? [{ filename: fileName.replace(/\.docx$/, '.pdf'), content: pdf, contentType: 'application/pdf' }] : []),
+      ...(invoice ? [{
+        filename: `${documentFileName(payload, 'invoice')}.docx`, content: invoice,
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      }] : []),
+    ],
+
+    // ВАЖНО: конверт SMTP, чтобы MAIL FROM был ровно SMTP_USER
+    envelope: { from: LOGIN_EMAIL, to: recipient },
+  });
+}
+
+function confirmationText(payload, tournament, editUrl, fee = null) {
+  const lang = payload.lang;
+  const t = localizeTournament(tournament, lang);
+  const groups = (payload.groups || []).length;
+  return [
+    tr(lang, 'mail.hello'),
+    '',
+    tr(lang, 'mail.received', { club: payload.club, tournament: t.name, place: tournamentPlaceLine(t, lang) }),
+    tr(lang, 'mail.counts', { participants: payload.participants.length, groups: groups ? tr(lang, 'mail.groups', { n: groups }) : '' }),
+    ...(waitlistedNames(payload).length ? [
+      '',
+      tr(lang, 'mail.waitlistTitle'),
+      ...waitlistedNames(payload).map((name) => `  - ${name}`),
+      tr(lang, 'mail.waitlistNote'),
+    ] : []),
+    ...(fee ? [tr(lang, 'mail.fee', { total: formatMoney(fee.total, fee.currency) })] : []),
+    '',
+    tr(lang, 'mail.editHint'),
+    editUrl,
+  ].join('\n');
+}
+
+function confirmationHtml(payload, tournament, editUrl, fee = null) {
+  const lang = payload.lang;
+  const t = localizeTournament(tournament, lang);
+  const td = 'style="border:1px solid #999;padding:4px 8px;"';
+  const waitlist = waitlistedNames(payload).length > 0;
+  const info = [
+    ['club', payload.club], ['city', payload.city], ['contacts', payload.contacts],
+    ['coach', payload.coach], ['judges', judgesText(payload.judges, lang)],
+  ];
+  const head = (labels) => `<tr style="background:#eee;">${labels.map((l) => `<td ${td}>${escapeHtml(l)}</td>`).join('')}</tr>`;
+  return `<div style="font-family:Arial,sans-serif;font-size:14px;color:#111;">
+  <p>${escapeHtml(tr(lang, 'mail.hello'))}</p>
+  <p>${tr(lang, 'mail.receivedHtml', { tournament: escapeHtml(t.name), place: escapeHtml(tournamentPlaceLine(t, lang)) })}</p>
+  <table style="border-collapse:collapse;margin:12px 0;">
+    ${info.map(([k, v]) => `<tr><td ${td}><b>${escapeHtml(tr(lang, `mail.${k}`))}</b></td><td ${td}>${escapeHtml(v || '—')}</td></tr>`).join('')}
+  </table>
+  <table style="border-collapse:collapse;margin:12px 0;">
+    ${head(['№', ...['name', 'birthYear', 'hasRank', 'performingRank', 'medicalVisa'].map((k) => tr(lang, `doc.${k}`)), ...(waitlist ? [tr(lang, 'mail.status')] : [])])}
+    ${payload.participants.map((p) => `<tr><td ${td}>${p.idx}</td><td ${td}>${escapeHtml(p.name)}</td><td ${td}>${escapeHtml(p.birthYear)}</td>` +
+      `<td ${td}>${escapeHtml(rankText(p.hasRank, lang))}</td><td ${td}>${escapeHtml(rankText(p.performingRank, lang))}</td><td ${td}>${escapeHtml(visaText(p.medicalVisa, lang))}</td>` +
+      (waitlist ? `<td ${td}>${p.waitlisted ? `<b>${escapeHtml(tr(lang, 'mail.waitlisted'))}</b>` : escapeHtml(tr(lang, 'mail.confirmed'))}</td>` : '') + '</tr>').join('')}
+  </table>
+  ${waitlist ? `<p>${escapeHtml(tr(lang, 'mail.waitlistHtml'))}</p>` : ''}
+  ${(payload.groups || []).length ? `<p><b>${escapeHtml(tr(lang, 'doc.group'))}</b></p>
+  <table style="border-collapse:collapse;margin:12px 0;">
+    ${head(['№', tr(lang, 'doc.groupName'), tr(lang, 'doc.performingRank'), tr(lang, 'doc.apparatus'), tr(lang, 'mail.members')])}
+    ${payload.groups.map((g) => `<tr><td ${td}>${g.idx}</td><td ${td}>${escapeHtml(g.name)}</td><td ${td}>${escapeHtml(rankText(g.performingRank, lang))}</td>` +
+      `<td ${td}>${escapeHtml(g.apparatus)}</td><td ${td}>${escapeHtml(groupMembersText(g)).replace(/\n/g, '<br>')}</td></tr>`).join('')}
+  </table>` : ''}
+  ${fee ? `<p>${tr(lang, 'mail.feeHtml', {
+    total: escapeHtml(formatMoney(fee.total, fee.currency)),
+    discount: fee.discount ? escapeHtml(tr(lang, 'mail.feeDiscount', { percent: fee.discount.percent })) : '',
+  })}</p>` : ''}
+  <p>${tr(lang, 'mail.editHtml', { url: escapeHtml(editUrl) })}</p>
+  <p style="color:#666;">${escapeHtml(tr(lang, 'mail.personal'))}</p>
+</div>`;
+}
+
+function cell(text, opts = {}) {
+  return new TableCell({
     width: { size: opts.width || 1000, type: WidthType.DXA },
     margins: { top: 120, bottom: 120, left: 120, right: 120 },
     borders: {
@@ -235,120 +2935,1014 @@ function cell(text, opts = {}) {
     shading: opts.shading
       ? { type: ShadingType.CLEAR, color: 'auto', fill: opts.shading }
       : undefined,
-    children: [
+    // '\n' в тексте — новый абзац внутри ячейки (TextRun перенос строки не понимает)
+    children: String(text).split('\n').map((line) =>
       new Paragraph({
         alignment: opts.align || AlignmentType.LEFT,
-        children: [ new TextRun({ text, font: 'Times New Roman', bold: !!opts.bold }) ],
+        children: [ new TextRun({ text: line, font: 'Times New Roman', bold: !!opts.bold }) ],
+      })),
+  });
+}
+
+// Подпись раздела над таблицей: «Индивидуальные упражнения», «Групповые упражнения»
+function sectionCaption(text) {
+  return new Paragraph({
+    spacing: { before: 200, after: 120 },       // небольшой отступ
+    children: [
+      new TextRun({
+        text,
+        font: 'Times New Roman',
+        italics: true,                            // как на скрине
+        bold: false,
+        size: 28                                  // ~14pt
+      }),
+    ],
+  });
+}
+
+// Таблица судей в .docx и PDF: №, ФИО, категория, контакты (твипы, как у таблицы участниц)
+const JUDGE_TABLE_WIDTHS = [900, 3500, 2500, 4000];
+
+// Состав группы одной ячейкой: «1. Иванова Анна, 2015» построчно
+function groupMembersText(g) {
+  return g.members.map((m) => `${m.idx}. ${[m.name, m.birthYear].filter(Boolean).join(', ')}`).join('\n');
+}
+
+// Судьи одной строкой для писем, Excel и /admin: «Петрова Е. В. (1К); Смирнова О. И. (юный судья)»
+function judgesText(judges, lang = DEFAULT_LANG) {
+  return judges.map((j) => (j.category ? `${j.name} (${judgeCategoryText(j.category, lang)})` : j.name)).join('; ');
+}
+
+async function buildDocx(data, tournament) {
+  if (tournament.docxTemplate) {
+    try {
+      return await buildDocxFromTemplate(data, tournament);
+    } catch (err) {
+      // сломанный или пропавший шаблон не должен останавливать приём заявок
+      console.error(`Docx template ${tournament.docxTemplate} failed, using the built-in layout:`, err.message);
+    }
+  }
+  const lang = data.lang;
+  const L = (key) => tr(lang, `doc.${key}`);
+  tournament = localizeTournament(tournament, lang);
+  const groups = data.groups || [];
+  // пустую таблицу индивидуальных (8 строк для заполнения от руки) не печатаем, если заявка только на группы
+  const showIndividual = data.participants.length > 0 || !groups.length;
+  // базовый шрифт/кегль
+  const baseRun = (text) => new TextRun({ text, font: 'Times New Roman', size: 24 }); // 12pt
+
+  const doc = new Document({
+    sections: [
+      {
+        properties: {
+          // Поля страницы — чтобы колонкам хватало места
+          page: {
+            ssize: { width: A4_WIDTH, height: A4_HEIGHT, orientation: PageOrientation.PORTRAIT },
+            margin: { top: 1134, right: 1134, bottom: 1134, left: 1134 }, // ~2 см
+          },
+        },
+        children: [
+          // Заголовки
+          new Paragraph({ alignment: AlignmentType.CENTER, children: [ new TextRun({ text: L('title'), bold: true, font: 'Times New Roman', size: 28 }) ] }),
+          new Paragraph({ alignment: AlignmentType.CENTER, children: [ baseRun(tournament.subtitle) ] }),
+          new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [ new TextRun({ text: `«${tournament.name}»`, italics: true, bold: true, font: 'Times New Roman', size: 24 }) ],
+          }),
+          new Paragraph({ alignment: AlignmentType.CENTER, children: [ baseRun(tournamentPlaceLine(tournament, lang)) ] }),
+          new Paragraph({ text: ' ', spacing: { after: 200 } }),
+
+          // ===== Таблица сведений (2 колонки) =====
+          new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            layout: TableLayoutType.FIXED,           // ключ к корректному рендеру на мобилке
+            columnWidths: [5500, 5500],               // фиксируем ширины столбцов (две колонки ~50/50)
+            rows: [
+              new TableRow({
+                children: [
+                  cell(L('club'), { width: 5500 }),
+                  cell(data.club || '', { width: 5500 }),
+                ],
+              }),
+              new TableRow({ children: [ cell(L('city'), { width: 5500 }), cell(data.city || '', { width: 5500 }) ] }),
+              new TableRow({ children: [ cell(L('contacts'), { width: 5500 }), cell(data.contacts || '', { width: 5500 }) ] }),
+              new TableRow({ children: [ cell(L('coach'), { width: 5500 }), cell(data.coach || '', { width: 5500 }) ] }),
+            ],
+          }),
+
+          // ===== Судьи (4 колонки); без судей — одна пустая строка, как бланк =====
+          sectionCaption(L('judges')),
+          new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            layout: FIXED_LAYOUT,
+            columnWidths: JUDGE_TABLE_WIDTHS,
+            rows: [
+              new TableRow({
+                children: ['idx', 'judgeName', 'judgeCategory', 'judgeContacts'].map((key, i) =>
+                  cell(L(key), { shading: 'D9D9D9', width: JUDGE_TABLE_WIDTHS[i], bold: true, align: AlignmentType.CENTER })),
+              }),
+              ...(data.judges.length ? data.judges : [null]).map((j, i) => new TableRow({
+                children: (j ? [String(j.idx), j.name, judgeCategoryText(j.category, lang), j.contacts] : [String(i + 1), '', '', ''])
+                  .map((text, k) => cell(text || '', { width: JUDGE_TABLE_WIDTHS[k] })),
+              })),
+            ],
+          }),
+
+          new Paragraph({ text: ' ', spacing: { after: 160 } }),
+          ...(showIndividual ? [sectionCaption(L('individual')),
+
+          // ===== Таблица участниц (6 колонок) =====
+          new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            layout: FIXED_LAYOUT,           // фиксируем раскладку
+            // ширины в twips; сумма примерно соответствует ширине контента
+            columnWidths: [900, 3500, 1400, 1700, 1900, 1500],
+            rows: [
+              new TableRow({
+                children: [
+                  cell(L('idx'),            { shading: 'D9D9D9', width: 900,  bold: true, align: AlignmentType.CENTER }),
+                  cell(L('name'),           { shading: 'D9D9D9', width: 3500, bold: true, align: AlignmentType.CENTER }),
+                  cell(L('birthYear'),      { shading: 'D9D9D9', width: 1400, bold: true, align: AlignmentType.CENTER }),
+                  cell(L('hasRank'),        { shading: 'D9D9D9', width: 1700, bold: true, align: AlignmentType.CENTER }),
+                  cell(L('performingRank'), { shading: 'D9D9D9', width: 1900, bold: true, align: AlignmentType.CENTER }),
+                  cell(L('medicalVisa'),    { shading: 'D9D9D9', width: 1500, bold: true, align: AlignmentType.CENTER }),
+                ],
+              }),              
+              ...((data.participants && data.participants.length ? data.participants : new Array(8).fill(null)).map((p, i) =>
+                new TableRow({
+                  children: [
+                    cell(String(p ? p.idx : i + 1), { width: 900 }),
+                    cell(p ? (p.name || '') : '', { width: 3500 }),
+                    cell(p ? (p.birthYear || '') : '', { width: 1400 }),
+                    cell(p ? rankText(p.hasRank, lang) : '', { width: 1700 }),
+                    cell(p ? rankText(p.performingRank, lang) : '', { width: 1900 }),
+                    cell(p ? visaText(p.medicalVisa, lang) : '', { width: 1500 }),
+                  ],
+                })
+              )),
+            ],
+          })] : []),
+
+          // ===== Групповые упражнения (5 колонок) =====
+          ...(groups.length ? [sectionCaption(L('group')),
+          new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            layout: FIXED_LAYOUT,
+            columnWidths: [900, 2500, 1700, 1500, 4300],
+            rows: [
+              new TableRow({
+                children: [
+                  cell(L('idx'),            { shading: 'D9D9D9', width: 900,  bold: true, align: AlignmentType.CENTER }),
+                  cell(L('groupName'),      { shading: 'D9D9D9', width: 2500, bold: true, align: AlignmentType.CENTER }),
+                  cell(L('performingRank'), { shading: 'D9D9D9', width: 1700, bold: true, align: AlignmentType.CENTER }),
+                  cell(L('apparatus'),      { shading: 'D9D9D9', width: 1500, bold: true, align: AlignmentType.CENTER }),
+                  cell(L('members'),        { shading: 'D9D9D9', width: 4300, bold: true, align: AlignmentType.CENTER }),
+                ],
+              }),
+              ...groups.map((g) => new TableRow({
+                children: [
+                  cell(String(g.idx), { width: 900 }),
+                  cell(g.name || '', { width: 2500 }),
+                  cell(rankText(g.performingRank, lang), { width: 1700 }),
+                  cell(g.apparatus || '', { width: 1500 }),
+                  cell(groupMembersText(g), { width: 4300 }),
+                ],
+              })),
+            ],
+          })] : []),
+        ],
+      },
+    ],
+  });
+
+  return await Packer.toBuffer(doc);
+}
+
+// ------------------------ Docx templates ------------------------
+const TEMPLATE_TAG_RE = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Заполняет шаблон организатора: сначала размножаются строки гимнасток, групп и судей, затем подставляются общие метки
+async function buildDocxFromTemplate(data, tournament) {
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(tournament.docxTemplate));
+  // значения — на языке клуба, как во встроенном макете; текст самого шаблона не переводится
+  const lang = data.lang;
+  tournament = localizeTournament(tournament, lang);
+  const groups = data.groups || [];
+  // как во встроенном макете: пустой бланк получает 8 строк для заполнения от руки
+  const participants = data.participants.length || groups.length
+    ? data.participants
+    : Array.from({ length: 8 }, (_, i) => ({ idx: i + 1 }));
+  const fields = templateFields(data, tournament, lang);
+  const xmlParts = Object.keys(zip.files).filter((name) => /^word\/(document|header\d*|footer\d*)\.xml$/.test(name));
+  for (const name of xmlParts) {
+    let xml = await zip.file(name).async('string');
+    xml = repeatTemplateRows(xml, 'participant', participants.map((p) => prefixFields('participant', {
+      idx: p.idx, name: p.name, birthYear: p.birthYear, hasRank: rankText(p.hasRank, lang),
+      performingRank: rankText(p.performingRank, lang), medicalVisa: visaText(p.medicalVisa, lang),
+    })));
+    xml = repeatTemplateRows(xml, 'group', groups.map((g) => prefixFields('group', {
+      idx: g.idx, name: g.name, performingRank: rankText(g.performingRank, lang), apparatus: g.apparatus, members: groupMembersText(g),
+    })));
+    xml = repeatTemplateRows(xml, 'judge', (data.judges.length ? data.judges : [{ idx: 1 }]).map((j) => prefixFields('judge', {
+      idx: j.idx, name: j.name, category: judgeCategoryText(j.category, lang), contacts: j.contacts,
+    })));
+    zip.file(name, fillTemplateXml(xml, fields));
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function templateFields(data, tournament, lang) {
+  return {
+    ...prefixFields('tournament', {
+      name: tournament.name, subtitle: tournament.subtitle, city: tournament.city, venue: tournament.venue,
+      date: formatTournamentDate(tournament.date, lang), place: tournamentPlaceLine(tournament, lang),
+    }),
+    club: data.club, city: data.city, contacts: data.contacts, email: data.email, coach: data.coach,
+    // {{judge}} и {{judgeCategory}} — из бланков с одним судьёй: первый судья заявки
+    judge: (data.judges[0] || {}).name || '', judgeCategory: judgeCategoryText((data.judges[0] || {}).category, lang),
+    judges: data.judges.map((j) => [j.name, judgeCategoryText(j.category, lang)].filter(Boolean).join(', ')).join('\n'),
+    'participants.count': data.participants.length, 'groups.count': (data.groups || []).length, 'judges.count': data.judges.length,
+    today: dayjs().format('DD.MM.YYYY'),
+  };
+}
+
+function prefixFields(prefix, values) {
+  return Object.fromEntries(Object.entries(values).map(([k, v]) => [`${prefix}.${k}`, v == null ? '' : String(v)]));
+}
+
+// Строка таблицы с метками {{prefix.*}} заменяется копиями — по одной на элемент rows (вложенные таблицы не поддерживаются)
+function repeatTemplateRows(xml, prefix, rows) {
+  const marker = new RegExp(`\\{\\{\\s*${prefix}\\.`);
+  return xml.replace(/<w:tr\b[\s\S]*?<\/w:tr>/g, (row) => (
+    marker.test(row.replace(/<[^>]+>/g, '')) ? rows.map((fields) => fillTemplateXml(row, fields)).join('') : row
+  ));
+}
+
+function fillTemplateXml(xml, fields) {
+  return xml.replace(/<w:p\b[^>]*>[\s\S]*?<\/w:p>/g, (paragraph) => fillTemplateParagraph(paragraph, fields));
+}
+
+// Word режет текст на runs как угодно, и метка может оказаться в нескольких <w:t>:
+// значение пишется в run с началом метки, остаток метки из следующих runs удаляется
+function fillTemplateParagraph(paragraph, fields) {
+  const runRe = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g;
+  const texts = [...paragraph.matchAll(runRe)].map((m) => unescapeXml(m[1]));
+  const starts = [];
+  texts.reduce((pos, t) => { starts.push(pos); return pos + t.length; }, 0);
+  const partAt = (offset) => texts.findIndex((t, i) => offset >= starts[i] && offset < starts[i] + t.length);
+  const tags = [...texts.join('').matchAll(TEMPLATE_TAG_RE)].filter((m) => fields[m[1]] != null);
+  if (!tags.length) return paragraph;
+  // с конца, чтобы смещения ещё не обработанных меток не менялись
+  tags.reverse().forEach((m) => {
+    const from = m.index;
+    const to = m.index + m[0].length;
+    const i = partAt(from);
+    const j = partAt(to - 1);
+    const tail = texts[j].slice(to - starts[j]);
+    for (let k = i + 1; k <= j; k++) texts[k] = '';
+    texts[i] = texts[i].slice(0, from - starts[i]) + String(fields[m[1]]) + (i === j ? tail : '');
+    if (j > i) texts[j] = tail;
+  });
+  let k = 0;
+  return paragraph.replace(runRe, () => `<w:t xml:space="preserve">${escapeXml(texts[k++]).replace(/\r?\n/g, '</w:t><w:br/><w:t xml:space="preserve">')}</w:t>`);
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function unescapeXml(s) {
+  return s.replace(/&(lt|gt|quot|apos|amp);/g, (all, e) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[e]));
+}
+
+// ------------------------ Fees & invoice ------------------------
+function rankPrice(table, rank) {
+  const key = rankKey(rank);
+  return key && table.ranks[key] != null ? table.ranks[key] : table.default;
+}
+
+// Расчёт взноса по заявке: строки счёта, скидка клуба и итог; null — взносы не заданы
+function calculateFees(data, tournament) {
+  const fees = tournament.fees;
+  if (!fees) return null;
+  const lines = [];
+  // одинаковые разряд и цена — одна строка счёта с количеством
+  const add = (key, title, count, price) => {
+    const line = lines.find((l) => l.key === key && l.price === price);
+    if (line) line.count += count;
+    else lines.push({ key, title, count, price });
+  };
+  // лист ожидания не оплачивается, пока гимнастку не переведут в основной состав
+  // названия строк — на языке заявки: они попадают в счёт и в форму
+  const lang = data.lang;
+  data.participants.filter((p) => p.name && !p.waitlisted).forEach((p) => {
+    add(`individual|${rankKey(p.performingRank)}`, [tr(lang, 'doc.individual'), rankText(p.performingRank, lang)].filter(Boolean).join(', '),
+      1, rankPrice(fees.individual, p.performingRank));
+  });
+  (data.groups || []).forEach((g) => {
+    const members = g.members.filter((m) => m.name).length;
+    if (!members) return;
+    add(`group|${g.idx}`, [tr(lang, 'fees.group', { type: tr(lang, 'doc.group'), name: g.name || g.idx }), rankText(g.performingRank, lang)].filter(Boolean).join(', '),
+      members, rankPrice(fees.group, g.performingRank));
+  });
+  const result = lines.map(({ title, count, price }) => ({ title, count, price, amount: roundMoney(count * price) }));
+  const subtotal = roundMoney(result.reduce((sum, l) => sum + l.amount, 0));
+  const club = normalizeHeader(data.club);
+  const d = club && fees.discounts.find((x) => normalizeHeader(x.club) === club);
+  const discount = d ? { percent: d.percent, amount: roundMoney(subtotal * d.percent / 100) } : null;
+  return { currency: fees.currency, lines: result, subtotal, discount, total: roundMoney(subtotal - (discount ? discount.amount : 0)) };
+}
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// «12 500 ₽», копейки — только если они есть
+function formatMoney(n, currency = '₽') {
+  const [int, frac] = roundMoney(n).toFixed(2).split('.');
+  return `${int.replace(/\B(?=(\d{3})+(?!\d))/g, ' ')}${frac === '00' ? '' : ',' + frac} ${currency}`.trim();
+}
+
+// Сохранённый при подаче расчёт; для старых заявок считаем по текущим ценам
+function submissionFee(s) {
+  return s.fee !== undefined ? s.fee : calculateFees(s.data, submissionTournament(s));
+}
+
+function invoiceNumber(s) {
+  return s.invoiceNo || listSubmissions(submissionTournament(s)).indexOf(s) + 1;
+}
+
+function paymentStatus(s) {
+  return (s.payment && s.payment.status) || 'unpaid';
+}
+
+// Счёт по сохранённой заявке; null — если взносы для турнира не заданы
+async function buildSubmissionInvoice(s) {
+  const fee = submissionFee(s);
+  if (!fee) return null;
+  // дата счёта — когда присвоен номер; смена статуса, оплаты или правка заявки её не меняют
+  return buildInvoiceDocx(s.data, submissionTournament(s), fee, { number: invoiceNumber(s), date: s.invoiceDate || s.createdAt });
+}
+
+async function buildInvoiceDocx(data, tournament, fee, { number, date }) {
+  const L = (key, params) => tr(data.lang, `invoice.${key}`, params);
+  tournament = localizeTournament(tournament, data.lang);
+  const run = (text, opts = {}) => new TextRun({ text, font: 'Times New Roman', size: 24, ...opts });
+  const line = (key, value) => new Paragraph({ spacing: { after: 60 }, children: [run(`${L(key)}: `, { bold: true }), run(value || '—')] });
+  const pay = tournament.payment || {};
+  const money = (n) => formatMoney(n, fee.currency);
+  const widths = [700, 5200, 1100, 1500, 1500];
+  const head = L('head');
+  const totals = [
+    ...(fee.discount ? [[L('subtotal'), money(fee.subtotal)], [L('discount', { percent: fee.discount.percent }), `−${money(fee.discount.amount)}`]] : []),
+    [L('total'), money(fee.total)],
+  ];
+  const purpose = L('purpose', { purpose: pay.purpose || L('purposeDefault'), tournament: tournament.name, number, club: data.club });
+
+  const doc = new Document({
+    sections: [{
+      properties: { page: { margin: { top: 1134, right: 1134, bottom: 1134, left: 1134 } } },
+      children: [
+        new Paragraph({
+          alignment: AlignmentType.CENTER, spacing: { after: 200 },
+          children: [run(L('title', { number, date: dayjs(date).format('DD.MM.YYYY') }), { bold: true, size: 28 })],
+        }),
+        line('recipient', pay.recipient),
+        ...(pay.inn || pay.kpp ? [line('innKpp', [pay.inn, pay.kpp].filter(Boolean).join(' / '))] : []),
+        ...(pay.account ? [line('account', pay.account)] : []),
+        ...(pay.bank ? [line('bank', pay.bank)] : []),
+        ...(pay.bik ? [line('bik', pay.bik)] : []),
+        ...(pay.correspondentAccount ? [line('correspondentAccount', pay.correspondentAccount)] : []),
+        ...(pay.recipient ? [] : [new Paragraph({ children: [run(L('noDetails'), { italics: true })] })]),
+        new Paragraph({ text: ' ' }),
+        line('payer', [data.club, data.city].filter(Boolean).join(', ')),
+        line('tournament', `«${tournament.name}», ${tournamentPlaceLine(tournament, data.lang)}`),
+        new Paragraph({ text: ' ', spacing: { after: 120 } }),
+        new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          layout: FIXED_LAYOUT,
+          columnWidths: widths,
+          rows: [
+            new TableRow({ children: head.map((h, i) => cell(h, { shading: 'D9D9D9', width: widths[i], bold: true, align: AlignmentType.CENTER })) }),
+            ...fee.lines.map((l, i) => new TableRow({
+              children: [
+                cell(String(i + 1), { width: widths[0] }),
+                cell(L('line', { title: l.title }), { width: widths[1] }),
+                cell(String(l.count), { width: widths[2], align: AlignmentType.RIGHT }),
+                cell(money(l.price), { width: widths[3], align: AlignmentType.RIGHT }),
+                cell(money(l.amount), { width: widths[4], align: AlignmentType.RIGHT }),
+              ],
+            })),
+          ],
+        }),
+        ...totals.map(([label, value], i) => new Paragraph({
+          alignment: AlignmentType.RIGHT, spacing: { before: i ? 0 : 160 },
+          children: [run(`${label}: `, { bold: i === totals.length - 1 }), run(value, { bold: i === totals.length - 1 })],
+        })),
+        new Paragraph({ text: ' ', spacing: { after: 120 } }),
+        line('purposeLabel', purpose),
+      ],
+    }],
+  });
+  return Packer.toBuffer(doc);
+}
+
+// ------------------------ Roster import ------------------------
+const ROSTER_MAX_ROWS = 200;
+const ROSTER_TEMPLATE_COLUMNS = [
+  { header: '№ п/п', key: 'idx', width: 8 },
+  { header: 'ФИО гимнастки', key: 'name', width: 36 },
+  { header: 'Год рождения', key: 'birthYear', width: 14 },
+  { header: 'Имеет разряд', key: 'hasRank', width: 16 },
+  { header: 'Выступает разряд', key: 'performingRank', width: 18 },
+  { header: 'Виза врача', key: 'medicalVisa', width: 14 },
+];
+// Варианты заголовков (после normalizeHeader); сначала ищем точное совпадение, потом вхождение
+const ROSTER_HEADERS = {
+  idx: ['№', '№пп', 'номер', 'n', 'no', 'пп'],
+  name: ['фиогимнастки', 'фио', 'фиоучастницы', 'гимнастка', 'участница', 'фамилияимя', 'фамилияимяотчество', 'name', 'fullname', 'gymnastfullname'],
+  birthYear: ['годрождения', 'гр', 'датарождения', 'год', 'др', 'birthyear', 'birthdate', 'dateofbirth', 'yearofbirth'],
+  hasRank: ['имеетразряд', 'разряд', 'имеющийсяразряд', 'текущийразряд', 'естьразряд', 'hasrank', 'currentrank', 'rank'],
+  performingRank: ['выступаетразряд', 'выступаетпоразряду', 'выступает', 'разрядвыступления', 'программа', 'performingrank', 'competesatrank', 'category'],
+  medicalVisa: ['визаврача', 'виза', 'допускврача', 'допуск', 'меддопуск', 'медицинскийдопуск', 'medicalvisa', 'medicalclearance', 'medical'],
+};
+
+function normalizeHeader(v) {
+  return String(v).toLowerCase().replace(/ё/g, 'е').replace(/[^a-zа-я0-9№]/g, '');
+}
+
+function cellText(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return dayjs(v).format('DD.MM.YYYY');
+  if (typeof v === 'object') {
+    if (v.richText) return v.richText.map((r) => r.text).join('');
+    if (v.text != null) return String(v.text);
+    if (v.result != null) return cellText(v.result);
+    return '';
+  }
+  return String(v).trim();
+}
+
+// CSV из русского Excel часто в windows-1251 и с «;» — определяем и то, и другое
+function decodeCsv(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch {
+    return new TextDecoder('windows-1251').decode(buffer);
+  }
+}
+
+// Все непустые строки первого листа как массивы текстов
+async function readRosterRows(buffer, fileName) {
+  const wb = new ExcelJS.Workbook();
+  const isCsv = /\.csv$/i.test(fileName) || buffer.slice(0, 2).toString('latin1') !== 'PK';
+  let ws;
+  if (isCsv) {
+    const text = decodeCsv(buffer);
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+    ws = await wb.csv.read(Readable.from([text]), { parserOptions: { delimiter } });
+  } else {
+    await wb.xlsx.load(buffer);
+    ws = wb.worksheets[0];
+  }
+  const rows = [];
+  if (!ws) return rows;
+  ws.eachRow((row, n) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (c, col) => { cells[col - 1] = cellText(c.value); });
+    const values = Array.from(cells, (v) => v || '');
+    if (values.some(Boolean)) rows.push({ n, values });
+  });
+  return rows;
+}
+
+// Сначала точное совпадение по всем колонкам; затем вхождение, и из вхождений — самое длинное:
+// «Competes at rank» не должен уйти в hasRank по короткому «rank»
+function matchHeader(text) {
+  const h = normalizeHeader(text);
+  if (!h) return null;
+  const keys = Object.keys(ROSTER_HEADERS);
+  const exact = keys.find((k) => ROSTER_HEADERS[k].includes(h));
+  if (exact) return exact;
+  const partial = keys
+    .flatMap((k) => ROSTER_HEADERS[k].filter((alias) => alias.length > 3 && h.includes(alias)).map((alias) => ({ k, alias })))
+    .sort((a, b) => b.alias.length - a.alias.length)[0];
+  return partial ? partial.k : null;
+}
+
+// Ищем строку заголовков среди первых строк; без неё — порядок колонок как в шаблоне
+function mapRoster(rows, lang = DEFAULT_LANG) {
+  const warnings = [];
+  let headerAt = -1;
+  let columns = {};
+  rows.slice(0, 10).some((row, i) => {
+    const found = {};
+    row.values.forEach((v, col) => {
+      const key = matchHeader(v);
+      if (key && found[key] == null) found[key] = col;
+    });
+    if (found.name != null && Object.keys(found).length >= 2) {
+      headerAt = i;
+      columns = found;
+      return true;
+    }
+    return false;
+  });
+  let unmappedColumns = [];
+  if (headerAt < 0) {
+    warnings.push(tr(lang, 'roster.noHeaders'));
+    // первый столбец «№» в файле может и не быть
+    const numbered = rows.every((r) => /^\d*$/.test(String(r.values[0] || '').trim()));
+    const layout = numbered ? ROSTER_TEMPLATE_COLUMNS : ROSTER_TEMPLATE_COLUMNS.slice(1);
+    layout.forEach((c, col) => { columns[c.key] = col; });
+  } else {
+    const used = new Set(Object.values(columns));
+    unmappedColumns = rows[headerAt].values.filter((v, col) => v && !used.has(col));
+  }
+
+  const participants = [];
+  const skipped = [];
+  const fields = ['name', 'birthYear', 'hasRank', 'performingRank', 'medicalVisa'];
+  rows.slice(headerAt + 1).forEach(({ n, values }) => {
+    const get = (key) => (columns[key] == null ? '' : String(values[columns[key]] || '').trim());
+    const p = Object.fromEntries(fields.map((f) => [f, get(f)]));
+    if (!fields.some((f) => p[f])) return;
+    if (!p.name) return skipped.push({ row: n, reason: tr(lang, 'roster.noName') });
+    if (participants.length >= ROSTER_MAX_ROWS) return skipped.push({ row: n, reason: tr(lang, 'roster.tooMany', { max: ROSTER_MAX_ROWS }) });
+    // сначала приводим к дд.мм.гггг: ISO-дата «2015-03-01» — нормальная дата рождения
+    const rawBirth = p.birthYear;
+    p.birthYear = normalizeBirthDate(rawBirth);
+    if (p.birthYear && parseBirthYear(p.birthYear) == null) warnings.push(tr(lang, 'roster.badYear', { row: n, value: rawBirth }));
+    else if (/^\d{4}$/.test(p.birthYear)) warnings.push(tr(lang, 'roster.yearOnly', { row: n }));
+    p.hasRank = canonicalRank(p.hasRank, { held: true });
+    p.performingRank = canonicalRank(p.performingRank);
+    p.medicalVisa = canonicalVisa(p.medicalVisa);
+    ['hasRank', 'performingRank'].forEach((f) => {
+      if (p[f] && rankLevel(p[f]) < 0) warnings.push(tr(lang, 'roster.badRank', { row: n, value: p[f], field: tr(lang, `roster.${f}`) }));
+    });
+    participants.push(p);
+  });
+  return { participants, skipped, unmappedColumns, warnings };
+}
+
+// ------------------------ Reports ------------------------
+// Заявки, которые идут в протоколы: отозванные, отклонённые и заменённые не считаем
+function activeSubmissions(tournament) {
+  return listSubmissions(tournament).filter(isActive);
+}
+
+// Детерминированный ГПСЧ (mulberry32): один и тот же seed — одна и та же жеребьёвка
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffled(list, random) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Категория = «Выступает разряд» + год рождения. Внутри категории — по алфавиту
+// или, при shuffle, в порядке жеребьёвки; номера сквозные внутри категории.
+function buildReport(tournament, { shuffle = false, seed = 0 } = {}) {
+  const submissions = activeSubmissions(tournament);
+  const categories = new Map();
+  submissions.forEach(({ data }) => {
+    data.participants.filter((p) => !p.waitlisted).forEach((p) => {
+      const year = parseBirthYear(p.birthYear);
+      const rank = p.performingRank || 'разряд не указан';
+      const key = `${rank.toLowerCase()}|${year || ''}`;
+      if (!categories.has(key)) {
+        categories.set(key, { rank, year, title: `${rank}, ${year ? `${year} г.р.` : 'год рождения не указан'}`, entries: [] });
+      }
+      categories.get(key).entries.push({ name: p.name, birthYear: p.birthYear, club: data.club, city: data.city, coach: data.coach });
+    });
+  });
+
+  const random = seededRandom(seed);
+  // по разрядной лестнице; разряды не из списка — в конце
+  const order = (rank) => (rankLevel(rank) < 0 ? RANKS.length : rankLevel(rank));
+  const list = [...categories.values()]
+    .sort((a, b) => order(a.rank) - order(b.rank) || a.rank.localeCompare(b.rank, 'ru') || (b.year || 0) - (a.year || 0))
+    .map((c) => {
+      const ordered = shuffle ? shuffled(c.entries, random) : c.entries.slice().sort((a, b) => a.name.localeCompare(b.name, 'ru'));
+      return { ...c, entries: ordered.map((e, i) => ({ no: i + 1, ...e })) };
+    });
+
+  const judges = clubJudges(submissions).flatMap((c) => c.judges)
+    .sort((a, b) => a.name.localeCompare(b.name, 'ru'));
+
+  const clubs = new Map();
+  submissions.forEach(({ data }) => {
+    const key = data.club.toLowerCase();
+    if (!clubs.has(key)) clubs.set(key, { club: data.club, city: data.city, submissions: 0, gymnasts: 0 });
+    const c = clubs.get(key);
+    c.submissions += 1;
+    c.gymnasts += data.participants.filter((p) => !p.waitlisted).length;
+  });
+
+  return {
+    tournament, shuffle, seed,
+    categories: list,
+    judges,
+    clubs: [...clubs.values()].sort((a, b) => a.club.localeCompare(b.club, 'ru')),
+  };
+}
+
+// Судьи по клубам: заявки одного клуба объединяются, повтор ФИО (normalizePersonName) — один судья.
+// Гимнастки клуба — без листа ожидания, вместе с составами групп; одна и та же гимнастка считается один раз.
+function clubJudges(submissions) {
+  const clubs = new Map();
+  submissions.forEach(({ data }) => {
+    const key = data.club.toLowerCase();
+    if (!clubs.has(key)) clubs.set(key, { club: data.club, city: data.city, judges: [], judgeKeys: new Set(), gymnastKeys: new Set() });
+    const c = clubs.get(key);
+    data.judges.filter((j) => j.name).forEach((j) => {
+      const jk = normalizePersonName(j.name);
+      if (c.judgeKeys.has(jk)) return;
+      c.judgeKeys.add(jk);
+      c.judges.push({ name: j.name, category: j.category, contacts: j.contacts, club: data.club, city: data.city });
+    });
+    [...data.participants.filter((p) => !p.waitlisted), ...(data.groups || []).flatMap((g) => g.members)]
+      .filter((p) => p.name)
+      .forEach((p) => c.gymnastKeys.add(gymnastKey(p) || normalizePersonName(p.name)));
+  });
+  return [...clubs.values()].map(({ judgeKeys, gymnastKeys, ...c }) => ({ ...c, gymnasts: gymnastKeys.size }));
+}
+
+// Сводный список судей: по категории (ВК … юный судья, прочие — в конце), внутри — по алфавиту.
+// perJudge — «один судья на N гимнасток»: клубу нужно ceil(гимнасток / N) судей; без N проверка не делается.
+function buildJudgesReport(tournament, { perJudge = tournament.judging.gymnastsPerJudge } = {}) {
+  const clubs = clubJudges(activeSubmissions(tournament));
+  const order = (category) => {
+    const i = JUDGE_CATEGORIES.findIndex((c) => c.value === category);
+    return i < 0 ? JUDGE_CATEGORIES.length : i;
+  };
+  const judges = clubs.flatMap((c) => c.judges)
+    .sort((a, b) => order(a.category) - order(b.category) || a.name.localeCompare(b.name, 'ru'));
+  const categories = [...JUDGE_CATEGORIES.map((c) => c.value), '']
+    .map((category) => ({
+      category: category || 'другая / не указана',
+      count: judges.filter((j) => (category ? j.category === category : order(j.category) === JUDGE_CATEGORIES.length)).length,
+    }))
+    .filter((c) => c.count || JUDGE_CATEGORIES.some((j) => j.value === c.category));
+  return {
+    tournament, perJudge, judges, categories,
+    clubs: clubs
+      .map((c) => {
+        const required = perJudge ? Math.ceil(c.gymnasts / perJudge) : null;
+        return {
+          club: c.club, city: c.city, gymnasts: c.gymnasts, judges: c.judges.length, required,
+          missing: required == null ? null : Math.max(0, required - c.judges.length),
+        };
+      })
+      .sort((a, b) => a.club.localeCompare(b.club, 'ru')),
+  };
+}
+
+// Таблица отчёта из тех же cell(), что и в заявке: первая строка — серая шапка
+function reportTable(headers, widths, rows) {
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    layout: FIXED_LAYOUT,
+    columnWidths: widths,
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: headers.map((h, i) => cell(h, { shading: 'D9D9D9', width: widths[i], bold: true, align: AlignmentType.CENTER })),
       }),
+      ...rows.map((r) => new TableRow({ children: r.map((text, i) => cell(String(text == null ? '' : text), { width: widths[i] })) })),
+    ],
+  });
+}
+
+function reportHeading(text, opts = {}) {
+  return new Paragraph({
+    alignment: opts.align || AlignmentType.LEFT,
+    spacing: { before: 240, after: 120 },
+    children: [
+      ...(opts.pageBreak ? [new PageBreak()] : []),
+      new TextRun({ text, bold: true, font: 'Times New Roman', size: opts.size || 26 }),
+    ],
+  });
+}
+
+function reportNote(text) {
+  return new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text, font: 'Times New Roman', size: 24 })] });
+}
+
+// Отчёты — A4 книжная, поля 2 см
+function reportDocument(children) {
+  return new Document({
+    sections: [
+      {
+        properties: {
+          page: {
+            size: { width: A4_WIDTH, height: A4_HEIGHT, orientation: PageOrientation.PORTRAIT },
+            margin: { top: 1134, right: 1134, bottom: 1134, left: 1134 },
+          },
+        },
+        children,
+      },
     ],
   });
 }
 
-async function buildDocx(data) {
-  // базовый шрифт/кегль
-  const baseRun = (text) => new TextRun({ text, font: 'Times New Roman', size: 24 }); // 12pt
+async function buildReportDocx(report) {
+  const { tournament } = report;
+  const startLists = report.categories.flatMap((c) => [
+    reportHeading(`${c.title} — ${c.entries.length} уч.`),
+    reportTable(['№', 'ФИО гимнастки', 'Год рождения', 'Клуб/школа', 'Город'], [700, 3300, 1300, 2700, 1638],
+      c.entries.map((e) => [e.no, e.name, e.birthYear, e.club, e.city])),
+  ]);
+
+  const doc = reportDocument([
+    reportHeading('СТАРТОВЫЕ ПРОТОКОЛЫ', { align: AlignmentType.CENTER, size: 28 }),
+    reportNote(`«${tournament.name}»`),
+    reportNote(tournamentPlaceLine(tournament)),
+    reportNote(report.shuffle ? `Порядок выступлений — жеребьёвка (ключ ${report.seed})` : 'Порядок выступлений — по алфавиту'),
+    ...(startLists.length ? startLists : [reportNote('Заявок пока нет')]),
+
+    reportHeading('СУДЬИ', { align: AlignmentType.CENTER, size: 28, pageBreak: true }),
+    reportTable(['№', 'ФИО судьи', 'Категория', 'Клуб/школа', 'Город'], [700, 3300, 1500, 2500, 1638],
+      report.judges.map((j, i) => [i + 1, j.name, j.category, j.club, j.city])),
+
+    reportHeading('КЛУБЫ', { align: AlignmentType.CENTER, size: 28, pageBreak: true }),
+    reportTable(['№', 'Клуб/школа', 'Город', 'Заявок', 'Гимнасток'], [700, 3900, 2238, 1300, 1500],
+      [...report.clubs.map((c, i) => [i + 1, c.club, c.city, c.submissions, c.gymnasts]),
+        ['', 'Итого', '', report.clubs.reduce((n, c) => n + c.submissions, 0), report.clubs.reduce((n, c) => n + c.gymnasts, 0)]]),
+  ]);
+  return Packer.toBuffer(doc);
+}
+
+// Строка проверки клуба: «не хватает 2» / «достаточно» / «—» без нормы
+function judgeCheckText(c) {
+  if (c.required == null) return '—';
+  return c.missing ? `не хватает ${c.missing}` : 'достаточно';
+}
+
+async function buildJudgesReportDocx(report) {
+  const { tournament } = report;
+  const short = report.clubs.filter((c) => c.missing);
+  const doc = reportDocument([
+    reportHeading('СУДЕЙСКАЯ КОЛЛЕГИЯ', { align: AlignmentType.CENTER, size: 28 }),
+    reportNote(`«${tournament.name}»`),
+    reportNote(tournamentPlaceLine(tournament)),
+    reportTable(['№', 'ФИО судьи', 'Категория', 'Клуб/школа', 'Город', 'Контакты'], [600, 2600, 1200, 2000, 1338, 1900],
+      report.judges.map((j, i) => [i + 1, j.name, j.category, j.club, j.city, j.contacts])),
+    reportNote(`Всего судей: ${report.judges.length}`),
+
+    reportHeading('ПО КАТЕГОРИЯМ'),
+    reportTable(['Категория', 'Судей'], [6638, 3000], report.categories.map((c) => [c.category, c.count])),
+
+    reportHeading('ПРОВЕРКА КЛУБОВ', { align: AlignmentType.CENTER, size: 28, pageBreak: true }),
+    reportNote(report.perJudge
+      ? `Норма: один судья на ${report.perJudge} гимнасток. Клубов, не выполняющих норму: ${short.length}`
+      : 'Норма «один судья на N гимнасток» для турнира не задана'),
+    reportTable(['№', 'Клуб/школа', 'Город', 'Гимнасток', 'Судей', 'Нужно', 'Итог'], [600, 2800, 1638, 1100, 900, 900, 1700],
+      report.clubs.map((c, i) => [i + 1, c.club, c.city, c.gymnasts, c.judges, c.required == null ? '—' : c.required, judgeCheckText(c)])),
+  ]);
+  return Packer.toBuffer(doc);
+}
+
+// Имя листа Excel: до 31 символа, без []:*?/\ и без повторов
+function sheetName(title, used) {
+  const base = title.replace(/[\[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 31) || 'Лист';
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 31 - String(n).length - 1)}~${n}`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+async function buildReportExcel(report) {
+  const wb = new ExcelJS.Workbook();
+  wb.title = `Стартовые протоколы — ${report.tournament.name}`;
+  const used = new Set();
+  const addSheet = (title, columns, rows) => {
+    const ws = wb.addWorksheet(sheetName(title, used));
+    ws.columns = columns;
+    ws.getRow(1).font = { bold: true };
+    rows.forEach((r) => ws.addRow(r));
+    return ws;
+  };
+
+  addSheet('Клубы', [
+    { header: '№', key: 'no', width: 6 },
+    { header: 'Клуб/школа', key: 'club', width: 36 },
+    { header: 'Город', key: 'city', width: 18 },
+    { header: 'Заявок', key: 'submissions', width: 10 },
+    { header: 'Гимнасток', key: 'gymnasts', width: 12 },
+  ], report.clubs.map((c, i) => ({ no: i + 1, ...c })));
+
+  addSheet('Судьи', [
+    { header: '№', key: 'no', width: 6 },
+    { header: 'ФИО судьи', key: 'name', width: 32 },
+    { header: 'Категория', key: 'category', width: 14 },
+    { header: 'Клуб/школа', key: 'club', width: 36 },
+    { header: 'Город', key: 'city', width: 18 },
+  ], report.judges.map((j, i) => ({ no: i + 1, ...j })));
+
+  report.categories.forEach((c) => {
+    addSheet(c.title, [
+      { header: '№', key: 'no', width: 6 },
+      { header: 'ФИО гимнастки', key: 'name', width: 32 },
+      { header: 'Год рождения', key: 'birthYear', width: 14 },
+      { header: 'Клуб/школа', key: 'club', width: 36 },
+      { header: 'Город', key: 'city', width: 18 },
+      { header: 'Тренер', key: 'coach', width: 28 },
+    ], c.entries);
+  });
+
+  return wb.xlsx.writeBuffer();
+}
+
+async function buildJudgesReportExcel(report) {
+  const wb = new ExcelJS.Workbook();
+  wb.title = `Судьи — ${report.tournament.name}`;
+  const addSheet = (title, columns, rows) => {
+    const ws = wb.addWorksheet(title);
+    ws.columns = columns;
+    ws.getRow(1).font = { bold: true };
+    rows.forEach((r) => ws.addRow(r));
+    return ws;
+  };
+
+  addSheet('Судьи', [
+    { header: '№', key: 'no', width: 6 },
+    { header: 'ФИО судьи', key: 'name', width: 32 },
+    { header: 'Категория', key: 'category', width: 14 },
+    { header: 'Клуб/школа', key: 'club', width: 36 },
+    { header: 'Город', key: 'city', width: 18 },
+    { header: 'Контакты', key: 'contacts', width: 28 },
+  ], report.judges.map((j, i) => ({ no: i + 1, ...j })));
+
+  addSheet('Категории', [
+    { header: 'Категория', key: 'category', width: 24 },
+    { header: 'Судей', key: 'count', width: 10 },
+  ], report.categories);
+
+  const check = addSheet('Проверка клубов', [
+    { header: '№', key: 'no', width: 6 },
+    { header: 'Клуб/школа', key: 'club', width: 36 },
+    { header: 'Город', key: 'city', width: 18 },
+    { header: 'Гимнасток', key: 'gymnasts', width: 12 },
+    { header: 'Судей', key: 'judges', width: 10 },
+    { header: report.perJudge ? `Нужно (1 на ${report.perJudge})` : 'Нужно', key: 'required', width: 16 },
+    { header: 'Итог', key: 'check', width: 18 },
+  ], report.clubs.map((c, i) => ({ no: i + 1, ...c, required: c.required == null ? '—' : c.required, check: judgeCheckText(c) })));
+  // клубы, не выполняющие норму, — красным
+  check.eachRow((row, n) => {
+    if (n > 1 && report.clubs[n - 2].missing) row.font = { color: { argb: 'FFC00000' } };
+  });
+
+  return wb.xlsx.writeBuffer();
+}
+
+// ------------------------ PDF ------------------------
+// Та же раскладка, что и в buildDocx: шапка, таблица сведений, таблица участниц.
+// Размеры в pt; ширины колонок — пропорционально твипам из buildDocx.
+const PDF_MARGIN = 56.7; // ~2 см
+const PDF_CELL_PAD = 6;
 
-  const doc = new Document({
-    sections: [
-      {
-        properties: {
-          // Поля страницы — чтобы колонкам хватало места
-          page: {
-            ssize: { width: A4_WIDTH, height: A4_HEIGHT, orientation: PageOrientation.PORTRAIT },
-            margin: { top: 1134, right: 1134, bottom: 1134, left: 1134 }, // ~2 см
-          },
-        },
-        children: [
-          // Заголовки
-          new Paragraph({ alignment: AlignmentType.CENTER, children: [ new TextRun({ text: 'ЗАЯВКА', bold: true, font: 'Times New Roman', size: 28 }) ] }),
-          new Paragraph({ alignment: AlignmentType.CENTER, children: [ baseRun('на участие в открытом турнире по художественной гимнастике') ] }),
-          new Paragraph({
-            alignment: AlignmentType.CENTER,
-            children: [ new TextRun({ text: '«Акварель', italics: true, bold: true, font: 'Times New Roman', size: 24 }),
-                        new TextRun({ text: 'Dance»', italics: true, bold: true, font: 'Times New Roman', size: 24 }) ],
-          }),
-          new Paragraph({ alignment: AlignmentType.CENTER, children: [ baseRun(`г. Мытищи, ${data.date}`) ] }),
-          new Paragraph({ text: ' ', spacing: { after: 200 } }),
+function buildPdf(data, tournament) {
+  const lang = data.lang;
+  const L = (key) => tr(lang, `doc.${key}`);
+  tournament = localizeTournament(tournament, lang);
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PDF_MARGIN, info: { Title: `${L('fileName')} — ${tournament.name}` } });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
 
-          // ===== Таблица сведений (2 колонки) =====
-          new Table({
-            width: { size: 100, type: WidthType.PERCENTAGE },
-            layout: TableLayoutType.FIXED,           // ключ к корректному рендеру на мобилке
-            columnWidths: [5500, 5500],               // фиксируем ширины столбцов (две колонки ~50/50)
-            rows: [
-              new TableRow({
-                children: [
-                  cell('Название клуба/спортивной школы', { width: 5500 }),
-                  cell(data.club || '', { width: 5500 }),
-                ],
-              }),
-              new TableRow({ children: [ cell('Город', { width: 5500 }), cell(data.city || '', { width: 5500 }) ] }),
-              new TableRow({ children: [ cell('Контакты (телефон, электронная почта)', { width: 5500 }), cell(data.contacts || '', { width: 5500 }) ] }),
-              new TableRow({ children: [ cell('Тренер (Ф.И.О)', { width: 5500 }), cell(data.coach || '', { width: 5500 }) ] }),
-              new TableRow({ children: [ cell('Судья (Ф.И.О), судейская категория', { width: 5500 }), cell([data.judge, data.judgeCategory].filter(Boolean).join(', '), { width: 5500 }) ] }),
-            ],
-          }),
+    Object.entries(PDF_FONTS).forEach(([name, file]) => doc.registerFont(name, file));
+    const contentWidth = doc.page.width - PDF_MARGIN * 2;
+    const centered = (text, font, size) => {
+      doc.font(font).fontSize(size).text(text, PDF_MARGIN, doc.y, { width: contentWidth, align: 'center' });
+      doc.moveDown(0.2);
+    };
 
-          new Paragraph({ text: ' ', spacing: { after: 160 } }),
-          new Paragraph({
-            spacing: { before: 200, after: 120 },       // небольшой отступ
-            children: [
-              new TextRun({
-                text: 'Индивидуальные упражнения',
-                font: 'Times New Roman',
-                italics: true,                            // как на скрине
-                bold: false,
-                size: 28                                  // ~14pt
-              }),
-            ],
-          }),
+    // Заголовки
+    centered(L('title'), 'bold', 14);
+    centered(tournament.subtitle, 'regular', 12);
+    centered(`«${tournament.name}»`, 'boldItalic', 12);
+    centered(tournamentPlaceLine(tournament, lang), 'regular', 12);
+    doc.moveDown(1);
 
-          // ===== Таблица участниц (6 колонок) =====
-          new Table({
-            width: { size: 100, type: WidthType.PERCENTAGE },
-            layout: FIXED_LAYOUT,           // фиксируем раскладку
-            // ширины в twips; сумма примерно соответствует ширине контента
-            columnWidths: [900, 3500, 1400, 1700, 1900, 1500],
-            rows: [
-              new TableRow({
-                children: [
-                  cell('№\nп/п',            { shading: 'D9D9D9', width: 900,  bold: true, align: AlignmentType.CENTER }),
-                  cell('ФИО гимнастки',    { shading: 'D9D9D9', width: 3500, bold: true, align: AlignmentType.CENTER }),
-                  cell('Год рождения',     { shading: 'D9D9D9', width: 1400, bold: true, align: AlignmentType.CENTER }),
-                  cell('Имеет разряд',     { shading: 'D9D9D9', width: 1700, bold: true, align: AlignmentType.CENTER }),
-                  cell('Выступает разряд', { shading: 'D9D9D9', width: 1900, bold: true, align: AlignmentType.CENTER }),
-                  cell('Виза врача',       { shading: 'D9D9D9', width: 1500, bold: true, align: AlignmentType.CENTER }),
-                ],
-              }),              
-              ...((data.participants && data.participants.length ? data.participants : new Array(8).fill(null)).map((p, i) =>
-                new TableRow({
-                  children: [
-                    cell(String(p ? p.idx : i + 1), { width: 900 }),
-                    cell(p ? (p.name || '') : '', { width: 3500 }),
-                    cell(p ? (p.birthYear || '') : '', { width: 1400 }),
-                    cell(p ? (p.hasRank || '') : '', { width: 1700 }),
-                    cell(p ? (p.performingRank || '') : '', { width: 1900 }),
-                    cell(p ? (p.medicalVisa || '') : '', { width: 1500 }),
-                  ],
-                })
-              )),
-            ],
-          }),
-        ],
-      },
-    ],
+    // ===== Таблица сведений (2 колонки) =====
+    pdfTable(doc, [0.5, 0.5].map((k) => k * contentWidth), [
+      [L('club'), data.club || ''],
+      [L('city'), data.city || ''],
+      [L('contacts'), data.contacts || ''],
+      [L('coach'), data.coach || ''],
+    ]);
+
+    const groups = data.groups || [];
+    const widthsOf = (twips) => {
+      const total = twips.reduce((a, b) => a + b, 0);
+      return twips.map((w) => (w / total) * contentWidth);
+    };
+    const caption = (text) => {
+      doc.moveDown(1);
+      doc.font('italic').fontSize(14).text(text, PDF_MARGIN, doc.y);
+      doc.moveDown(0.4);
+    };
+
+    // ===== Судьи (4 колонки) =====
+    caption(L('judges'));
+    pdfTable(doc, widthsOf(JUDGE_TABLE_WIDTHS), (data.judges.length ? data.judges : [null]).map((j, i) => (j
+      ? [String(j.idx), j.name, judgeCategoryText(j.category, lang), j.contacts]
+      : [String(i + 1), '', '', '']
+    )), { header: ['idx', 'judgeName', 'judgeCategory', 'judgeContacts'].map(L) });
+
+    // ===== Таблица участниц (6 колонок) =====
+    if (data.participants.length || !groups.length) {
+      caption(L('individual'));
+      const rows = (data.participants && data.participants.length ? data.participants : new Array(8).fill(null)).map((p, i) => (p
+        ? [String(p.idx), p.name || '', p.birthYear || '', rankText(p.hasRank, lang), rankText(p.performingRank, lang), visaText(p.medicalVisa, lang)]
+        : [String(i + 1), '', '', '', '', '']));
+      pdfTable(doc, widthsOf([900, 3500, 1400, 1700, 1900, 1500]), rows, {
+        header: ['idx', 'name', 'birthYear', 'hasRank', 'performingRank', 'medicalVisa'].map(L),
+      });
+    }
+
+    // ===== Групповые упражнения (5 колонок) =====
+    if (groups.length) {
+      caption(L('group'));
+      pdfTable(doc, widthsOf([900, 2500, 1700, 1500, 4300]),
+        groups.map((g) => [String(g.idx), g.name, rankText(g.performingRank, lang), g.apparatus, groupMembersText(g)]), {
+          header: ['idx', 'groupName', 'performingRank', 'apparatus', 'members'].map(L),
+        });
+    }
+
+    doc.end();
   });
+}
 
-  return await Packer.toBuffer(doc);
+// Таблица с рамками; высота строки — по самой высокой ячейке.
+// Строка, не влезающая на страницу, переносится вместе с повтором шапки.
+function pdfTable(doc, widths, rows, { header = null, fontSize = 11 } = {}) {
+  const bottom = () => doc.page.height - PDF_MARGIN;
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(...cells.map((text, i) => doc.heightOfString(text || ' ', { width: widths[i] - PDF_CELL_PAD * 2 }))) + PDF_CELL_PAD * 2;
+  };
+  const drawRow = (cells, { font = 'regular', fill = null, align = 'left' } = {}) => {
+    const h = rowHeight(cells, font);
+    if (doc.y + h > bottom()) {
+      doc.addPage();
+      if (header && cells !== header) drawRow(header, headerStyle);
+    }
+    const y = doc.y;
+    let x = PDF_MARGIN;
+    cells.forEach((text, i) => {
+      if (fill) doc.rect(x, y, widths[i], h).fillColor(fill).fill();
+      doc.rect(x, y, widths[i], h).lineWidth(0.75).strokeColor('#000').stroke();
+      doc.fillColor('#000').font(font).fontSize(fontSize)
+        .text(text || '', x + PDF_CELL_PAD, y + PDF_CELL_PAD, { width: widths[i] - PDF_CELL_PAD * 2, align });
+      x += widths[i];
+    });
+    doc.x = PDF_MARGIN;
+    doc.y = y + h;
+  };
+  const headerStyle = { font: 'bold', fill: '#D9D9D9', align: 'center' };
+  if (header) drawRow(header, headerStyle);
+  rows.forEach((cells) => drawRow(cells));
 }
 
-function getHtml() {
+// edit: { token, createdAt, data } — страница открыта по секретной ссылке из подтверждения
+// lang: язык страницы, документов и писем клубу (заявка запоминает его в data.lang)
+function getHtml(tournament, { edit = null, lang = DEFAULT_LANG } = {}) {
+  const base = `/t/${encodeURIComponent(tournament.slug)}`;
+  const L = (key, params) => tr(lang, key, params);
+  const t = localizeTournament(tournament, lang);
+  const registration = registrationState(tournament, dayjs(), lang);
+  const submitUrl = edit ? `/edit/${encodeURIComponent(edit.token)}` : `${base}/submit`;
+  const hasGroups = tournament.exerciseTypes.includes('group');
+  // JSON внутри <script>: экранируем «<», чтобы данные не закрыли тег
+  const json = (v) => JSON.stringify(v).replace(/</g, '\\u003c');
+  const options = (items) => '<option value=""></option>' +
+    items.map((o) => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`).join('');
+  // в значениях — канонические русские разряды, подпись — на языке страницы
+  const rankOptions = RANKS.map((r) => ({ value: r.value, label: lang === 'en' ? `${r.en} (${r.value})` : r.label }));
+  const langSwitch = LANGS.map((l) => (l === lang ? `<strong>${l.toUpperCase()}</strong>` : `<a href="?lang=${l}">${l.toUpperCase()}</a>`)).join(' | ');
+  const year = dayjs().year();
   return `<!doctype html>
-<html lang="ru">
+<html lang="${lang}">
 <head>
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Заявка – Акварель Dance</title>
+  <title>${escapeHtml(L('page.title'))} – ${escapeHtml(t.name)}</title>
   <style>
     :root { --border: #000; }
     * { box-sizing: border-box; }
@@ -377,6 +3971,28 @@ function getHtml() {
     .left-group { display: flex; gap: 8px; flex-wrap: wrap; }
     .right-group .btn.primary { font-weight: 600; border-width: 2px; }
 
+    .invalid { border-color: #c00 !important; background: #fff3f3; }
+    td.invalid, tr.invalid td { background: #fff3f3; }
+    .field-error { color: #c00; font-size: 13px; margin-top: 4px; }
+    .hp { position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden; }
+    .warnings { border: 1px solid #c9a; background: #fff8f0; padding: 8px 10px 8px 28px; margin: 0 0 10px; }
+    #status.error { color: #c00; }
+    .notice { border: 1px solid #c9a; background: #fff8f0; padding: 8px 10px; margin-bottom: 10px; }
+    .fee-box { margin: 12px 0; }
+    .fee-box strong { color: #000; }
+    .section-title { font-style: italic; font-size: 18px; margin: 18px 0 8px; }
+    .group { border: 2px solid #000; padding: 10px; margin-bottom: 12px; }
+    .group.invalid { border-color: #c00; }
+    .group-head { display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px; }
+    .group-info th { width: 200px; text-align: left; font-weight: normal; }
+    .group .members { margin-top: 8px; }
+    .import-bar { flex-wrap: wrap; }
+    .import-bar a.btn { color: inherit; text-decoration: none; }
+    .lang-switch { font-family: system-ui, Arial, sans-serif; font-size: 14px; }
+    .lang-switch a { color: inherit; }
+    .draft-bar { flex-wrap: wrap; align-items: center; }
+    .draft-bar input { width: 11em; text-transform: uppercase; }
+
     @media (max-width: 640px) {
       body { background: #fff; }
       .page { padding: 16px; max-width: 100%; box-shadow: none; }
@@ -397,69 +4013,144 @@ function getHtml() {
 </head>
 <body>
   <div class="page">
-    <h1 class="center">ЗАЯВКА</h1>
-    <div class="center italic">на участие в открытом турнире по художественной гимнастике</div>
-    <div class="center italic"><strong>«Акварель Dance»</strong></div>
-    <div class="center" style="margin-bottom:10px;">г. Мытищи, <span id="dateDisplay">12 октября 2025 г.</span></div>
+    <div class="right lang-switch">${langSwitch}</div>
+    <h1 class="center">${escapeHtml(L('doc.title'))}</h1>
+    <div class="center italic">${escapeHtml(t.subtitle)}</div>
+    <div class="center italic"><strong>«${escapeHtml(t.name)}»</strong></div>
+    <div class="center" style="margin-bottom:10px;">${escapeHtml([t.city, t.venue].filter(Boolean).join(', '))}${t.city || t.venue ? ', ' : ''}<span id="dateDisplay" data-date="${escapeHtml(formatTournamentDate(tournament.date))}">${escapeHtml(formatTournamentDate(tournament.date, lang))}</span></div>
+    ${registration.open
+      ? (registration.message ? `<div class="center muted" style="margin-bottom:10px;">${escapeHtml(registration.message)}</div>` : '')
+      : `<div class="notice center">${escapeHtml(L('page.closed', { message: registration.message }))}</div>`}
+    ${edit ? `<div class="notice">${escapeHtml(L('page.editing', { date: dayjs(edit.createdAt).format('DD.MM.YYYY') }))}</div>` : ''}
+    <div id="draftNotice" class="notice" hidden>
+      <span id="draftText"></span>
+      <button class="btn" id="draftRestore" type="button">${escapeHtml(L('page.draftRestore'))}</button>
+      <button class="btn" id="draftDiscard" type="button">${escapeHtml(L('page.draftDiscard'))}</button>
+    </div>
 
     <div class="grid" id="infoTable">
       <div class="row">
-        <div class="cell">Название клуба/спортивной школы</div>
-        <div class="cell"><input id="club" placeholder="Введите название" /></div>
+        <div class="cell">${escapeHtml(L('doc.club'))}</div>
+        <div class="cell"><input id="club" placeholder="${escapeHtml(L('page.clubPlaceholder'))}" /></div>
       </div>
       <div class="row">
-        <div class="cell">Город</div>
-        <div class="cell"><input id="city" placeholder="Например: Мытищи"/></div>
+        <div class="cell">${escapeHtml(L('doc.city'))}</div>
+        <div class="cell"><input id="city" placeholder="${escapeHtml(L('page.cityPlaceholder'))}"/></div>
       </div>
       <div class="row">
-        <div class="cell">Контакты (телефон, электронная почта)</div>
+        <div class="cell">${escapeHtml(L('doc.contacts'))}</div>
         <div class="cell"><textarea id="contacts" rows="2" placeholder="+7..., email@..."></textarea></div>
       </div>
       <div class="row">
-        <div class="cell">Тренер (Ф.И.О)</div>
-        <div class="cell"><input id="coach"/></div>
+        <div class="cell">${escapeHtml(L('page.email'))}</div>
+        <div class="cell"><input id="email" type="email" placeholder="email@..."/></div>
       </div>
       <div class="row">
-        <div class="cell">Судья (Ф.И.О), судейская категория</div>
-        <div class="cell"><input id="judge" placeholder="ФИО"/><br/><input id="judgeCategory" placeholder="Категория"/></div>
+        <div class="cell">${escapeHtml(L('doc.coach'))}</div>
+        <div class="cell"><input id="coach"/></div>
       </div>
     </div>
 
+    <div class="section-title">${escapeHtml(L('doc.judges'))}</div>
+    <div class="table-wrap">
+      <table id="judges">
+        <thead>
+          <tr>
+            <th style="width:60px">${escapeHtml(L('doc.idx'))}</th>
+            <th>${escapeHtml(L('doc.judgeName'))}</th>
+            <th style="width:200px">${escapeHtml(L('doc.judgeCategory'))}</th>
+            <th style="width:240px">${escapeHtml(L('doc.judgeContacts'))}</th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <div class="controls">
+      <button class="btn" id="addJudge" type="button">${escapeHtml(L('page.addJudge'))}</button>
+      <button class="btn" id="removeJudge" type="button">${escapeHtml(L('page.removeJudge'))}</button>
+    </div>
+
+    <div class="controls import-bar">
+      <button class="btn" id="importBtn" type="button">${escapeHtml(L('page.import'))}</button>
+      <input id="importFile" type="file" accept=".xlsx,.csv" hidden />
+      <a class="btn" href="${base}/roster-template.xlsx?lang=${lang}">${escapeHtml(L('page.template'))}</a>
+    </div>
+
+    ${hasGroups ? `<div class="section-title">${escapeHtml(L('doc.individual'))}</div>` : ''}
     <div class="table-wrap">
       <table id="participants">
         <thead>
           <tr>
-            <th style="width:60px">№\nп/п</th>
-            <th>ФИО гимнастки</th>
-            <th style="width:120px">Год рождения</th>
-            <th style="width:140px">Имеет разряд</th>
-            <th style="width:160px">Выступает разряд</th>
-            <th style="width:120px">Виза врача</th>
+            <th style="width:60px">${escapeHtml(L('doc.idx'))}</th>
+            <th>${escapeHtml(L('doc.name'))}</th>
+            <th style="width:120px">${escapeHtml(L('doc.birthYear'))}</th>
+            <th style="width:140px">${escapeHtml(L('doc.hasRank'))}</th>
+            <th style="width:160px">${escapeHtml(L('doc.performingRank'))}</th>
+            <th style="width:120px">${escapeHtml(L('doc.medicalVisa'))}</th>
           </tr>
         </thead>
         <tbody></tbody>
       </table>
     </div>
 
+    <div id="groupsSection"${hasGroups ? '' : ' hidden'}>
+      <div class="section-title">${escapeHtml(L('doc.group'))}</div>
+      <div id="groups"></div>
+      <div class="controls"><button class="btn" id="addGroup" type="button">${escapeHtml(L('page.addGroup'))}</button></div>
+    </div>
+
+    ${tournament.fees ? '<div id="feeBox" class="fee-box muted"></div>' : ''}
+
     <div class="controls controls-bottom">
       <div class="left-group">
-        <button class="btn" id="addRow" type="button">+ Добавить участницу</button>
-        <button class="btn" id="removeRow" type="button">− Удалить последнюю</button>
-        <button class="btn" id="docxBtn" type="button">Скачать .docx</button>
+        <button class="btn" id="addRow" type="button">${escapeHtml(L('page.addRow'))}</button>
+        <button class="btn" id="removeRow" type="button">${escapeHtml(L('page.removeRow'))}</button>
+        <button class="btn" id="docxBtn" type="button">${escapeHtml(L('page.docx'))}</button>
+        <button class="btn" id="pdfBtn" type="button">${escapeHtml(L('page.pdf'))}</button>
       </div>
       <div class="right-group">
-        <button class="btn primary" id="submitBtn" type="button">Отправить</button>
+        <button class="btn primary" id="submitBtn" type="button"${registration.open ? '' : ' disabled'}>${escapeHtml(L('page.submit'))}</button>
       </div>
     </div>
+    ${edit ? '' : `<div class="controls draft-bar">
+      <button class="btn" id="draftSave" type="button">${escapeHtml(L('page.draftSave'))}</button>
+      <input id="draftCode" placeholder="${escapeHtml(L('page.draftCode'))}" maxlength="12" autocomplete="off" />
+      <button class="btn" id="draftOpen" type="button">${escapeHtml(L('page.draftOpen'))}</button>
+    </div>`}
 
+    <div class="hp" aria-hidden="true"><label>${escapeHtml(L('page.honeypot'))} <input id="${HONEYPOT_FIELD}" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off" /></label></div>
+    <ul id="warnings" class="warnings" hidden></ul>
     <div id="status" class="muted"></div>
   </div>
 
   <script>
+    const BASE = ${JSON.stringify(base)};
+    const EDIT = ${edit ? json(edit.data) : 'null'};
+    const RENDERED_AT = ${Date.now()};
+    const LANG = ${json(lang)};
+    const T = ${json(MESSAGES[lang].js)};
+    const RANK_OPTIONS = ${json(options(rankOptions))};
+    const VISA_OPTIONS = ${json(options(MEDICAL_VISAS.map((v) => ({ value: v, label: visaText(v, lang) }))))};
+    const JUDGE_OPTIONS = ${json(options(JUDGE_CATEGORIES.map((c) => ({ value: c.value, label: lang === 'en' ? c.en : c.label }))))};
+    const DATE_ATTRS = ${json(`type="date" min="${year - MAX_AGE}-01-01" max="${year - MIN_AGE}-12-31"`)};
+    let submitUrl = ${json(submitUrl)};
+    // «Группа {n}» → «Группа 2»
+    const fmt = (s, p) => s.replace(/\\{(\\w+)\\}/g, (m, k) => (k in p ? p[k] : m));
     window.addEventListener('DOMContentLoaded', () => {
       const tbody = document.querySelector('#participants tbody');
       const dateDisplay = document.getElementById('dateDisplay');
 
+      // Поле даты принимает только гггг-мм-дд; на сервере дата хранится как дд.мм.гггг.
+      // Значения не из списка select просто не покажет — их придётся выбрать заново.
+      function setField(el, value){
+        value = value || '';
+        if (el.type === 'date') {
+          const m = /^(\\d{2})\\.(\\d{2})\\.(\\d{4})$/.exec(value);
+          value = m ? m[3] + '-' + m[2] + '-' + m[1] : (/^\\d{4}-\\d{2}-\\d{2}$/.test(value) ? value : '');
+        }
+        el.value = value;
+      }
+
       function renumber(){
         [...tbody.querySelectorAll('tr')].forEach((tr, i)=>{
           const idx = tr.querySelector('.idx');
@@ -470,58 +4161,878 @@ function getHtml() {
       function addRow(){
         const tr = document.createElement('tr');
         tr.innerHTML = '<td class="idx"></td>' +
-          '<td><input placeholder="ФИО"/></td>' +
-          '<td><input placeholder="дд.мм.гггг"/></td>' +
-          '<td><input placeholder="Да/Нет, разряд"/></td>' +
-          '<td><input placeholder="Разряд"/></td>' +
-          '<td><input placeholder="Есть/Нет"/></td>';
+          '<td><input data-field="name" placeholder="' + T.namePlaceholder + '"/></td>' +
+          '<td><input data-field="birthYear" ' + DATE_ATTRS + '/></td>' +
+          '<td><select data-field="hasRank">' + RANK_OPTIONS + '</select></td>' +
+          '<td><select data-field="performingRank">' + RANK_OPTIONS + '</select></td>' +
+          '<td><select data-field="medicalVisa">' + VISA_OPTIONS + '</select></td>';
         tbody.appendChild(tr); renumber();
       }
 
+      // Заполнить таблицу участницами из файла; пустые строки формы переиспользуем
+      function fillRows(list){
+        [...tbody.querySelectorAll('tr')].forEach(tr => {
+          if (![...tr.querySelectorAll('[data-field]')].some(i => i.value.trim())) tr.remove();
+        });
+        list.forEach(p => {
+          addRow();
+          tbody.lastElementChild.querySelectorAll('[data-field]').forEach(i => setField(i, p[i.dataset.field]));
+        });
+        if (!tbody.children.length) addRow();
+        renumber();
+      }
+
+      async function importRoster(file){
+        const s = document.getElementById('status');
+        clearErrors();
+        try {
+          const res = await fetch(BASE + '/import-roster?lang=' + LANG, { method:'POST',
+            headers:{ 'Content-Type':'application/octet-stream', 'X-File-Name': encodeURIComponent(file.name) },
+            body: await file.arrayBuffer() });
+          const data = await res.json();
+          if (!data.ok) { s.classList.add('error'); s.textContent = data.error || T.readFailed; return; }
+          fillRows(data.participants);
+          updateFees(); saveLocalDraft();
+          const lines = [fmt(T.imported, { n: data.participants.length })];
+          data.skipped.forEach(x => lines.push(fmt(T.skipped, x)));
+          if (data.unmappedColumns.length) lines.push(fmt(T.unmapped, { columns: data.unmappedColumns.join(', ') }));
+          data.warnings.forEach(w => lines.push(w + '.'));
+          s.classList.toggle('error', data.skipped.length > 0);
+          s.textContent = lines.join(' ');
+        } catch(e){ s.textContent = T.network; console.error(e); }
+      }
+
+      // ===== Группы =====
+      const groupsBox = document.getElementById('groups');
+
+      function renumberGroups(){
+        [...groupsBox.querySelectorAll('[data-group]')].forEach((g, i) => {
+          g.querySelector('.group-no').textContent = fmt(T.group, { n: i + 1 });
+          [...g.querySelectorAll('.members tbody tr')].forEach((tr, j) => { tr.querySelector('.idx').textContent = j + 1; });
+        });
+      }
+
+      function addMember(g){
+        const tr = document.createElement('tr');
+        tr.innerHTML = '<td class="idx"></td>' +
+          '<td><input data-field="name" placeholder="' + T.namePlaceholder + '"/></td>' +
+          '<td><input data-field="birthYear" ' + DATE_ATTRS + '/></td>';
+        g.querySelector('.members tbody').appendChild(tr); renumberGroups();
+        return tr;
+      }
+
+      function addGroup(){
+        const g = document.createElement('div');
+        g.className = 'group'; g.setAttribute('data-group', '');
+        g.innerHTML = '<div class="group-head"><strong class="group-no"></strong>' +
+          '<button class="btn" type="button" data-action="removeGroup">' + T.removeGroup + '</button></div>' +
+          '<table class="group-info">' +
+          '<tr><th>' + T.groupName + '</th><td><input data-gfield="name"/></td></tr>' +
+          '<tr><th>' + T.performingRank + '</th><td><select data-gfield="performingRank">' + RANK_OPTIONS + '</select></td></tr>' +
+          '<tr><th>' + T.apparatus + '</th><td><input data-gfield="apparatus" placeholder="' + T.apparatusPlaceholder + '"/></td></tr>' +
+          '</table>' +
+          '<table class="members"><thead><tr><th style="width:60px">№</th><th>' + T.memberName + '</th><th style="width:160px">' + T.birthYear + '</th></tr></thead><tbody></tbody></table>' +
+          '<div class="controls"><button class="btn" type="button" data-action="addMember">' + T.addMember + '</button>' +
+          '<button class="btn" type="button" data-action="removeMember">' + T.removeMember + '</button></div>';
+        groupsBox.appendChild(g);
+        for (let i = 0; i < ${GROUP_MIN_MEMBERS}; i++) addMember(g);
+        return g;
+      }
+
+      groupsBox?.addEventListener('click', (e) => {
+        const action = e.target.dataset?.action; if (!action) return;
+        const g = e.target.closest('[data-group]');
+        if (action === 'removeGroup') g.remove();
+        if (action === 'addMember') addMember(g);
+        if (action === 'removeMember') { const body = g.querySelector('.members tbody'); if (body.children.length > 1) body.lastElementChild.remove(); }
+        renumberGroups();
+      });
+
       function removeRow(){ if (tbody.children.length>1) { tbody.removeChild(tbody.lastElementChild); renumber(); } }
 
+      // ===== Судьи =====
+      const judgesBody = document.querySelector('#judges tbody');
+
+      function renumberJudges(){
+        [...judgesBody.querySelectorAll('tr')].forEach((tr, i) => { tr.querySelector('.idx').textContent = i + 1; });
+      }
+
+      function addJudge(){
+        const tr = document.createElement('tr');
+        tr.innerHTML = '<td class="idx"></td>' +
+          '<td><input data-field="name" placeholder="' + T.namePlaceholder + '"/></td>' +
+          '<td><select data-field="category">' + JUDGE_OPTIONS + '</select></td>' +
+          '<td><input data-field="contacts" placeholder="+7..., email@..."/></td>';
+        judgesBody.appendChild(tr); renumberJudges();
+        return tr;
+      }
+
+      function removeJudge(){ if (judgesBody.children.length>1) { judgesBody.lastElementChild.remove(); renumberJudges(); } }
+
+      // Заполнить форму целиком (заявка по ссылке для изменения или черновик); прежние строки и группы убираем
+      function fillForm(data){
+        ['club', 'city', 'contacts', 'email', 'coach'].forEach(id => {
+          const el = document.getElementById(id); if (el) el.value = data[id] || '';
+        });
+        judgesBody.innerHTML = '';
+        // черновики, сохранённые до таблицы судей, хранят одного судью в judge/judgeCategory
+        const judges = data.judges || (data.judge ? [{ name: data.judge, category: data.judgeCategory }] : []);
+        judges.forEach(j => {
+          addJudge().querySelectorAll('[data-field]').forEach(i => setField(i, j[i.dataset.field]));
+        });
+        if (!judgesBody.children.length) addJudge();
+        tbody.innerHTML = '';
+        (data.participants || []).forEach(p => {
+          addRow();
+          tbody.lastElementChild.querySelectorAll('[data-field]').forEach(i => setField(i, p[i.dataset.field]));
+        });
+        if (!tbody.children.length) addRow();
+        groupsBox.innerHTML = '';
+        (data.groups || []).forEach(gr => {
+          const g = addGroup();
+          g.querySelectorAll('[data-gfield]').forEach(i => setField(i, gr[i.dataset.gfield]));
+          g.querySelector('.members tbody').innerHTML = '';
+          (gr.members || []).forEach(m => {
+            addMember(g).querySelectorAll('[data-field]').forEach(i => setField(i, m[i.dataset.field]));
+          });
+        });
+        if ((data.groups || []).length) groupsBox.closest('#groupsSection').hidden = false;
+        renumberGroups();
+      }
+
       function collect(){
         const get = id => (document.getElementById(id)?.value || '').trim();
-        const participants = [...tbody.querySelectorAll('tr')].map(tr => {
-          const [name, birthYear, hasRank, performingRank, medicalVisa] = [...tr.querySelectorAll('input')].map(i=>i.value.trim());
-          return { name, birthYear, hasRank, performingRank, medicalVisa };
+        const readRow = tr => {
+          const row = {};
+          tr.querySelectorAll('[data-field]').forEach(i => { row[i.dataset.field] = i.value.trim(); });
+          return row;
+        };
+        let participants = [...tbody.querySelectorAll('tr')].map(readRow);
+        // единственная пустая строка — просто заготовка (например, заявка только на группы)
+        if (participants.length === 1 && !Object.values(participants[0]).some(Boolean)) participants = [];
+        // пустые строки судей в конце таблицы не отправляем; пустая строка посередине — ошибка проверки
+        const judges = [...judgesBody.querySelectorAll('tr')].map(readRow);
+        while (judges.length && !Object.values(judges[judges.length - 1]).some(Boolean)) judges.pop();
+        const groups = [...document.querySelectorAll('#groups [data-group]')].map(g => {
+          const group = {};
+          g.querySelectorAll('[data-gfield]').forEach(i => { group[i.dataset.gfield] = i.value.trim(); });
+          group.members = [...g.querySelectorAll('.members tbody tr')].map(readRow);
+          return group;
         });
         return {
-          date: dateDisplay.textContent,
-          city: get('city'), club: get('club'), contacts: get('contacts'), coach: get('coach'),
-          judge: get('judge'), judgeCategory: get('judgeCategory'), participants
+          // дата турнира в заявке — всегда в русском написании, как в выгрузке организатора
+          date: dateDisplay.dataset.date, lang: LANG,
+          city: get('city'), club: get('club'), contacts: get('contacts'), email: get('email'), coach: get('coach'),
+          judges, participants, groups,
+          ${HONEYPOT_FIELD}: get('${HONEYPOT_FIELD}'), formRenderedAt: RENDERED_AT
+        };
+      }
+
+      // ===== Черновики =====
+      // Копия формы в localStorage после каждого изменения; при следующем открытии предлагаем восстановить.
+      // У страницы изменения заявки свой ключ, чтобы черновик не попал в новую заявку.
+      let draftKey = 'draft:' + (EDIT ? submitUrl : BASE);
+      let draftCode = '';      // код черновика на сервере, если его сохраняли
+      let draftTimer = null;
+      const draftNotice = document.getElementById('draftNotice');
+
+      function draftData(){
+        const data = collect();
+        delete data.${HONEYPOT_FIELD}; delete data.formRenderedAt;
+        return data;
+      }
+
+      function isBlank(data){
+        const filled = v => Array.isArray(v) ? v.some(filled) : (v && typeof v === 'object') ? Object.values(v).some(filled) : Boolean(v);
+        return !['club', 'city', 'contacts', 'email', 'coach', 'judges', 'participants', 'groups'].some(k => filled(data[k]));
+      }
+
+      // localStorage недоступен в приватном режиме или переполнен — тогда просто без черновика
+      function readLocalDraft(){
+        try { return JSON.parse(localStorage.getItem(draftKey) || 'null'); } catch(e){ return null; }
+      }
+
+      function forgetLocalDraft(){
+        try { localStorage.removeItem(draftKey); } catch(e){ console.error(e); }
+      }
+
+      function saveLocalDraft(){
+        clearTimeout(draftTimer);
+        draftTimer = setTimeout(() => {
+          const data = draftData();
+          if (isBlank(data)) return forgetLocalDraft();
+          try { localStorage.setItem(draftKey, JSON.stringify({ savedAt: Date.now(), code: draftCode, data })); } catch(e){ console.error(e); }
+        }, 500);
+      }
+
+      // Черновик держим в памяти: даже если человек уже начал печатать, «Восстановить» вернёт его целиком
+      function offerDraft(draft){
+        document.getElementById('draftText').textContent = fmt(T.draftFound, { time: new Date(draft.savedAt).toLocaleString(T.numberLocale) });
+        draftNotice.hidden = false;
+        document.getElementById('draftRestore').onclick = () => {
+          fillForm(draft.data); draftCode = draft.code || '';
+          draftNotice.hidden = true;
+        };
+        document.getElementById('draftDiscard').onclick = () => { forgetLocalDraft(); draftNotice.hidden = true; };
+      }
+
+      async function saveServerDraft(){
+        const s = document.getElementById('status');
+        clearErrors();
+        try {
+          const res = await fetch(BASE + '/drafts', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ ...draftData(), draftCode }) });
+          const data = await res.json();
+          if (data.errors) return showErrors(data.errors);
+          if (!data.ok) { s.classList.add('error'); s.textContent = data.error || ''; return; }
+          draftCode = data.code;
+          saveLocalDraft();
+          document.getElementById('draftCode').value = data.code;
+          s.textContent = fmt(T.draftSaved, { code: data.code, date: new Date(data.expiresAt).toLocaleDateString(T.numberLocale) });
+          const a = document.createElement('a'); a.href = data.url; a.textContent = data.url; s.appendChild(a);
+        } catch(e){ s.textContent = T.network; console.error(e); }
+      }
+
+      async function loadServerDraft(code){
+        const s = document.getElementById('status');
+        clearErrors();
+        if (!code.trim()) { s.classList.add('error'); s.textContent = T.draftCodeMissing; return; }
+        try {
+          const res = await fetch(BASE + '/drafts/' + encodeURIComponent(code.trim()) + '?lang=' + LANG);
+          const data = await res.json();
+          if (!data.ok) { s.classList.add('error'); s.textContent = data.error || ''; return; }
+          fillForm(data.data); draftCode = data.code;
+          draftNotice.hidden = true;
+          saveLocalDraft(); updateFees();
+          // иначе перезагрузка страницы снова затрёт локальные правки версией с сервера
+          const url = new URL(location.href); url.searchParams.delete('draft'); history.replaceState(null, '', url);
+          s.textContent = fmt(T.draftLoaded, { code: data.code });
+        } catch(e){ s.textContent = T.network; console.error(e); }
+      }
+
+      // Заявка ушла: черновики больше не нужны, дальше правки идут в сохранённую заявку
+      function dropDrafts(){
+        clearTimeout(draftTimer);
+        forgetLocalDraft();
+        if (draftCode) fetch(BASE + '/drafts/' + draftCode, { method:'DELETE' }).catch(e => console.error(e));
+        draftCode = '';
+        draftKey = 'draft:' + submitUrl;
+      }
+
+      function fileNameFromClub(ext){
+        const club = (document.getElementById('club')?.value || T.fileName).trim();
+        return T.fileName + '_' + club.replace(/[^\w\u0400-\u04FF\s.-]/g,'_').replace(/\s+/g,' ').trim() + ext;
+      }
+
+      // Подсветка ошибок проверки: field = 'club' | 'participants.N.key' | 'participants.N.row' | 'judges.N.key'
+      function clearErrors(){
+        document.querySelectorAll('.invalid').forEach(el => { el.classList.remove('invalid'); el.removeAttribute('title'); });
+        document.querySelectorAll('.field-error').forEach(el => el.remove());
+        const s = document.getElementById('status'); s.classList.remove('error');
+      }
+
+      function showErrors(errors){
+        clearErrors();
+        const rows = [...tbody.querySelectorAll('tr')];
+        const groupEls = [...document.querySelectorAll('#groups [data-group]')];
+        const judgeRows = [...judgesBody.querySelectorAll('tr')];
+        // строка таблицы: 'row' — вся строка, иначе поле в ней (подсвечиваем и ячейку)
+        const inRow = (tr, key) => {
+          if (!tr) return null;
+          if (key === 'row') return tr;
+          const input = tr.querySelector('[data-field="' + key + '"]');
+          if (input) input.parentElement.classList.add('invalid');
+          return input;
         };
+        let first = null;
+        errors.forEach(({ field, message }) => {
+          const [scope, idx, key, sub, subKey] = field.split('.');
+          let el = null;
+          if (scope === 'participants' && idx != null) {
+            el = inRow(rows[Number(idx)], key);
+          } else if (scope === 'participants') {
+            el = document.getElementById('participants');
+          } else if (scope === 'judges' && idx != null) {
+            el = inRow(judgeRows[Number(idx)], key);
+          } else if (scope === 'judges') {
+            el = document.getElementById('judges');
+          } else if (scope === 'groups') {
+            const g = groupEls[Number(idx)];
+            if (!g) return;
+            if (key === 'row') el = g;
+            else if (key === 'members' && sub != null) el = inRow(g.querySelectorAll('.members tbody tr')[Number(sub)], subKey);
+            else if (key === 'members') el = g.querySelector('.members');
+            else {
+              el = g.querySelector('[data-gfield="' + key + '"]');
+              if (el) el.parentElement.classList.add('invalid');
+            }
+          } else {
+            el = document.getElementById(scope);
+            if (el) {
+              const hint = document.createElement('div');
+              hint.className = 'field-error'; hint.textContent = message;
+              el.parentElement.appendChild(hint);
+            }
+          }
+          if (!el) return;
+          el.classList.add('invalid');
+          el.title = el.title ? el.title + '; ' + message : message;
+          first = first || el;
+        });
+        const s = document.getElementById('status');
+        s.classList.add('error');
+        s.textContent = fmt(T.checkFields, { n: errors.length });
+        if (first) { first.scrollIntoView({ block: 'center', behavior: 'smooth' }); if (first.focus) first.focus(); }
       }
 
-      function fileNameFromClub(){
-        const club = (document.getElementById('club')?.value || 'Заявка').trim();
-        return 'Заявка_' + club.replace(/[^\w\u0400-\u04FF\s.-]/g,'_').replace(/\s+/g,' ').trim() + '.docx';
+      // Ключ идемпотентности: повторное нажатие «Отправить» не создаёт вторую заявку.
+      // После успешного сохранения ключ новый, а ту же самую заявку повторно не отправляем.
+      const newKey = () => (window.crypto && crypto.randomUUID) ? crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).slice(2);
+      let submitKey = newKey();
+      let savedPayload = null;
+
+      // Перед отправкой сервер сверяет заявку с уже поданными. При совпадениях первое нажатие
+      // только показывает предупреждения, второе («Отправить всё равно») — отправляет.
+      const warningsBox = document.getElementById('warnings');
+      let warningsShown = false;
+
+      function resetWarnings(){
+        warningsShown = false; warningsBox.hidden = true; warningsBox.innerHTML = '';
+        document.getElementById('submitBtn').textContent = T.submit;
+      }
+
+      async function checkConflicts(payload){
+        const url = submitUrl.startsWith('/edit/') ? submitUrl + '/check' : BASE + '/check';
+        try {
+          const res = await fetch(url, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload)});
+          return (await res.json()).warnings || [];
+        } catch(e){ console.error(e); return []; }
       }
 
       async function submitForm(){
         const payload = collect(); const s = document.getElementById('status');
+        const btn = document.getElementById('submitBtn');
+        clearErrors();
+        btn.disabled = true;
         try {
-          const res = await fetch('/submit', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload)});
-          const data = await res.json(); s.textContent = data.ok ? 'Заявка отправлена на почту и сохранена.' : 'Ошибка: ' + (data.error||'');
-        } catch(e){ s.textContent = 'Сеть/сервер недоступны'; console.error(e); }
+          if (savedPayload === JSON.stringify(payload)) return;
+          if (!warningsShown) {
+            const warnings = await checkConflicts(payload);
+            if (warnings.length) {
+              warningsBox.innerHTML = '';
+              warnings.forEach(w => { const li = document.createElement('li'); li.textContent = w; warningsBox.appendChild(li); });
+              warningsBox.hidden = false; warningsShown = true;
+              btn.textContent = T.submitAnyway;
+              s.textContent = T.conflicts;
+              warningsBox.scrollIntoView({ block: 'center', behavior: 'smooth' });
+              return;
+            }
+          }
+          const res = await fetch(submitUrl, { method:'POST', headers:{'Content-Type':'application/json', 'Idempotency-Key': submitKey}, body: JSON.stringify(payload)});
+          const data = await res.json();
+          if (data.errors) return showErrors(data.errors);
+          if (!data.ok) { s.textContent = T.error + (data.error||''); return; }
+          submitKey = newKey();
+          savedPayload = JSON.stringify(payload);
+          resetWarnings();
+          // Дальнейшие правки на этой же странице заменяют сохранённую заявку
+          submitUrl = new URL(data.editUrl, location.href).pathname;
+          dropDrafts();
+          const lines = [data.mail === 'sent' ? T.sent : T.pending];
+          if (data.waitlisted && data.waitlisted.length) lines.push(fmt(T.waitlisted, { names: data.waitlisted.join(', ') }));
+          if (data.confirmationTo) lines.push(fmt(data.confirmation === 'sent' ? T.confirmationSent : T.confirmationPending, { email: data.confirmationTo }));
+          s.textContent = lines.join(' ') + ' ' + T.editLink;
+          const a = document.createElement('a'); a.href = data.editUrl; a.textContent = data.editUrl; s.appendChild(a);
+        } catch(e){ s.textContent = T.network; console.error(e); }
+        finally { btn.disabled = ${registration.open ? 'false' : 'true'}; }
+      }
+
+      // Взнос пересчитывает сервер: цены по разрядам живут в tournaments.json
+      const feeBox = document.getElementById('feeBox');
+      let feeTimer = null;
+      function updateFees(){
+        if (!feeBox) return;
+        clearTimeout(feeTimer);
+        feeTimer = setTimeout(async () => {
+          try {
+            const res = await fetch(BASE + '/fees', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(collect())});
+            const data = await res.json();
+            if (!data.ok || !data.fee) { feeBox.textContent = ''; return; }
+            const money = n => n.toLocaleString(T.numberLocale) + ' ' + data.fee.currency;
+            const parts = data.fee.lines.map(l => l.title + ': ' + l.count + ' × ' + money(l.price));
+            if (data.fee.discount) parts.push(fmt(T.discount, data.fee.discount));
+            feeBox.innerHTML = '';
+            const total = document.createElement('strong'); total.textContent = T.fee + money(data.fee.total);
+            feeBox.append(total, parts.length ? ' (' + parts.join('; ') + ')' : '');
+          } catch(e){ console.error(e); }
+        }, 300);
       }
 
-      async function downloadDocx(){
+      // kind: 'docx' | 'pdf'
+      async function downloadFile(kind){
         const payload = collect();
-        try { const res = await fetch('/download-docx', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload)});
+        clearErrors();
+        try { const res = await fetch(BASE + '/download-' + kind, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload)});
+          if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            if (data.errors) return showErrors(data.errors);
+            throw new Error(data.error || res.statusText);
+          }
           const blob = await res.blob(); const url = URL.createObjectURL(blob); const a = document.createElement('a');
-          a.href = url; a.download = fileNameFromClub(); a.click(); URL.revokeObjectURL(url);
-        } catch(e){ console.error(e); alert('Не удалось сформировать .docx'); }
+          a.href = url; a.download = fileNameFromClub(kind === 'pdf' ? '.pdf' : '.docx'); a.click(); URL.revokeObjectURL(url);
+        } catch(e){ console.error(e); alert(kind === 'pdf' ? T.pdfFailed : T.docxFailed); }
       }
 
       document.getElementById('addRow')?.addEventListener('click', addRow);
       document.getElementById('removeRow')?.addEventListener('click', removeRow);
       document.getElementById('submitBtn')?.addEventListener('click', submitForm);
-      document.getElementById('docxBtn')?.addEventListener('click', downloadDocx);
+      document.getElementById('docxBtn')?.addEventListener('click', () => downloadFile('docx'));
+      document.getElementById('pdfBtn')?.addEventListener('click', () => downloadFile('pdf'));
+      document.getElementById('addGroup')?.addEventListener('click', addGroup);
+      document.getElementById('addJudge')?.addEventListener('click', addJudge);
+      document.getElementById('removeJudge')?.addEventListener('click', removeJudge);
+      document.getElementById('importBtn')?.addEventListener('click', () => document.getElementById('importFile').click());
+      document.getElementById('importFile')?.addEventListener('change', (e) => {
+        const file = e.target.files[0]; e.target.value = '';
+        if (file) importRoster(file);
+      });
+      document.getElementById('draftSave')?.addEventListener('click', saveServerDraft);
+      document.getElementById('draftOpen')?.addEventListener('click', () => loadServerDraft(document.getElementById('draftCode').value));
+      document.querySelector('.page')?.addEventListener('input', (e) => {
+        const el = e.target;
+        if (el.id === 'draftCode') return;
+        [el, el.closest('td'), el.closest('tr')].forEach(x => x?.classList.remove('invalid'));
+        el.parentElement?.querySelector('.field-error')?.remove();
+        if (warningsShown) resetWarnings();
+        updateFees();
+        saveLocalDraft();
+      });
+      // добавление/удаление строк и групп тоже меняет сумму и черновик
+      document.querySelector('.page')?.addEventListener('click', (e) => { if (e.target.closest('button')) { updateFees(); saveLocalDraft(); } });
 
-      for (let i=0;i<1;i++) addRow();
+      if (EDIT) {
+        fillForm(EDIT);
+        if (groupsBox) groupsBox.closest('#groupsSection').hidden = false;
+      }
+      // ссылка ?draft=КОД из «Сохранить черновик» важнее черновика этого устройства
+      const linkedDraft = EDIT ? '' : new URLSearchParams(location.search).get('draft');
+      const localDraft = readLocalDraft();
+      if (linkedDraft) loadServerDraft(linkedDraft);
+      else if (localDraft && !isBlank(localDraft.data)) offerDraft(localDraft);
+      if (!tbody.children.length) addRow();
+      if (!judgesBody.children.length) addJudge();
+      updateFees();
     });
   </script>
 </body>
 </html>`;
-}
\ No newline at end of file
+}
+
+// ------------------------ Admin pages ------------------------
+function adminLayout(title, body) {
+  return `<!doctype html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: system-ui, -apple-system, 'Segoe UI', Arial, sans-serif; color:#111; background:#f7f7f7; margin:0; font-size:15px; }
+    .page { max-width: 1100px; margin: 24px auto; background:#fff; padding: 20px 24px; box-shadow: 0 1px 6px rgba(0,0,0,.08); }
+    header { display:flex; justify-content:space-between; align-items:center; gap:12px; margin-bottom:12px; }
+    h1 { font-size: 20px; margin: 0; }
+    h2 { font-size: 17px; margin: 18px 0 8px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+    tr.club td { background: #fafafa; font-weight: 600; border-top: 2px solid #ccc; }
+    form.inline { display: inline; }
+    .filters { display:flex; flex-wrap:wrap; gap:8px; margin-bottom:12px; }
+    input, select { padding:6px 8px; border:1px solid #999; font: inherit; }
+    .btn { border:1px solid #111; background:#fff; padding:6px 10px; cursor:pointer; border-radius: 8px; text-decoration:none; color:#111; display:inline-block; font: inherit; }
+    .muted { color:#666; }
+    .msg { background:#eef7ee; border:1px solid #9c9; padding:8px 10px; margin-bottom:12px; }
+    .error { background:#fff3f3; border:1px solid #c99; padding:8px 10px; margin-bottom:12px; }
+    .mail-pending { color:#a60; } .mail-failed { color:#a00; font-weight:600; }
+    .payment-paid { color:#176117; } .payment-partial { color:#a60; }
+    .status-accepted { color:#176117; } .status-rejected { color:#a00; } .status-withdrawn, .status-superseded { color:#777; text-decoration: line-through; }
+    .conflict { color:#a60; font-weight:600; }
+    .actions { display:flex; flex-wrap:wrap; gap:8px; margin: 12px 0; }
+    .table-wrap { overflow-x: auto; }
+  </style>
+</head>
+<body>
+  <div class="page">${body}</div>
+</body>
+</html>`;
+}
+
+function getAdminLoginHtml({ next, error }) {
+  return adminLayout('Вход для организаторов', `
+    <header><h1>Вход для организаторов</h1></header>
+    ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+    <form method="post" action="/admin/login">
+      <input type="hidden" name="next" value="${escapeHtml(next)}" />
+      <input type="password" name="password" placeholder="Пароль" autofocus required />
+      <button class="btn" type="submit">Войти</button>
+    </form>`);
+}
+
+function statusLabel(s) {
+  const status = s.status || 'submitted';
+  return `<span class="status-${status}">${escapeHtml(SUBMISSION_STATUSES[status] || status)}</span>`;
+}
+
+// Отметка в списке заявок: есть повтор или общие гимнастки с другими заявками
+// counts — результат conflictCounts() для всей страницы
+function conflictBadge(s, counts) {
+  const c = counts.get(s.id);
+  if (!c) return '';
+  const parts = [c.duplicates && 'повтор', c.gymnasts && `совпадений: ${c.gymnasts}`].filter(Boolean);
+  return parts.length ? ` <span class="conflict">⚠ ${parts.join(', ')}</span>` : '';
+}
+
+function paymentLabel(s) {
+  const fee = submissionFee(s);
+  if (!fee) return '<span class="muted">—</span>';
+  const status = paymentStatus(s);
+  return `<span class="payment-${status}">${escapeHtml(PAYMENT_STATUSES[status])}</span> <span class="muted">${escapeHtml(formatMoney(fee.total, fee.currency))}</span>`;
+}
+
+function mailLabel(s, type = 'organizer') {
+  const job = latestMailJob(s.id, type);
+  if (!job) return '<span class="muted">—</span>';
+  const title = job.lastError ? ` title="${escapeHtml(job.lastError)}"` : '';
+  return `<span class="mail-${job.status}"${title}>${escapeHtml(MAIL_STATUSES[job.status] || job.status)}</span>`;
+}
+
+function adminHeader(title) {
+  return `<header>
+      <h1>${escapeHtml(title)}</h1>
+      <nav>
+        <a class="btn" href="/admin">Заявки</a>
+        <a class="btn" href="/admin/waitlist">Лист ожидания</a>
+        <a class="btn" href="/admin/conflicts">Совпадения</a>
+        <a class="btn" href="/admin/reports">Отчёты</a>
+        <form class="inline" method="post" action="/admin/logout"><button class="btn" type="submit">Выйти</button></form>
+      </nav>
+    </header>`;
+}
+
+// Список заявок, сгруппированный по клубам; фильтры приходят из query string
+function getAdminListHtml(query) {
+  const q = String(query.q || '').trim().toLowerCase();
+  const rank = String(query.rank || '');
+  const city = String(query.city || '');
+  const status = String(query.status || '');
+  const tournament = String(query.t || '');
+  const all = store.submissions;
+  const tournaments = loadTournaments();
+
+  const distinct = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b, 'ru'));
+  const ranks = distinct(all.flatMap((s) => s.data.participants.map((p) => p.performingRank)));
+  const cities = distinct(all.map((s) => s.data.city));
+
+  const rows = all.filter((s) => {
+    const d = s.data;
+    if (tournament && s.tournament !== tournament) return false;
+    if (status && (s.status || 'submitted') !== status) return false;
+    if (city && d.city !== city) return false;
+    if (rank && !d.participants.some((p) => p.performingRank === rank)) return false;
+    if (!q) return true;
+    const haystack = [d.club, d.city, d.coach, d.contacts, ...d.judges.map((j) => j.name), ...d.participants.map((p) => p.name)].join(' ').toLowerCase();
+    return haystack.includes(q);
+  });
+
+  const clubs = new Map();
+  rows.forEach((s) => {
+    const key = s.data.club.toLowerCase();
+    if (!clubs.has(key)) clubs.set(key, { name: s.data.club, items: [] });
+    clubs.get(key).items.push(s);
+  });
+  const groups = [...clubs.values()].sort((a, b) => a.name.localeCompare(b.name, 'ru'));
+  const gymnasts = (s) => (rank ? s.data.participants.filter((p) => p.performingRank === rank) : s.data.participants).length;
+  const conflicts = conflictCounts(all);
+  const options = (values, selected, labels = {}) => values
+    .map((v) => `<option value="${escapeHtml(v)}"${v === selected ? ' selected' : ''}>${escapeHtml(labels[v] || v)}</option>`).join('');
+
+  const body = groups.map((g) => {
+    const total = g.items.reduce((n, s) => n + gymnasts(s), 0);
+    return `<tr class="club"><td colspan="8">${escapeHtml(g.name || '(без названия)')} — заявок: ${g.items.length}, гимнасток: ${total}</td></tr>` +
+      g.items.map((s) => `<tr>
+        <td><a href="/admin/submissions/${encodeURIComponent(s.id)}">${escapeHtml(dayjs(s.createdAt).format('DD.MM.YYYY HH:mm'))}</a></td>
+        <td>${escapeHtml(s.tournament)}</td>
+        <td>${escapeHtml(s.data.city)}</td>
+        <td>${escapeHtml(s.data.coach)}</td>
+        <td>${gymnasts(s)}</td>
+        <td>${statusLabel(s)}${conflictBadge(s, conflicts)}</td>
+        <td>${paymentLabel(s)}</td>
+        <td>${mailLabel(s)}</td>
+      </tr>`).join('');
+  }).join('');
+  const totalGymnasts = rows.reduce((n, s) => n + gymnasts(s), 0);
+
+  return adminLayout('Заявки', `
+    ${adminHeader('Заявки')}
+    <form class="filters" method="get" action="/admin">
+      <input name="q" value="${escapeHtml(query.q || '')}" placeholder="Поиск: клуб, тренер, гимнастка…" />
+      <select name="t"><option value="">Все турниры</option>${options(tournaments.map((t) => t.slug), tournament, Object.fromEntries(tournaments.map((t) => [t.slug, t.name])))}</select>
+      <select name="rank"><option value="">Любой разряд</option>${options(ranks, rank)}</select>
+      <select name="city"><option value="">Любой город</option>${options(cities, city)}</select>
+      <select name="status"><option value="">Любой статус</option>${options(Object.keys(SUBMISSION_STATUSES), status, SUBMISSION_STATUSES)}</select>
+      <button class="btn" type="submit">Показать</button>
+      <a class="btn" href="/admin">Сбросить</a>
+      ${tournament ? `<a class="btn" href="/t/${encodeURIComponent(tournament)}/download-excel">Скачать Excel</a>` : ''}
+    </form>
+    <p class="muted">Клубов: ${groups.length}, заявок: ${rows.length}, гимнасток: ${totalGymnasts}</p>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>Подана</th><th>Турнир</th><th>Город</th><th>Тренер</th><th>Гимнасток</th><th>Статус</th><th>Оплата</th><th>Письмо</th></tr></thead>
+        <tbody>${body || '<tr><td colspan="8" class="muted">Ничего не найдено</td></tr>'}</tbody>
+      </table>
+    </div>`);
+}
+
+function mailDetails(s, type = 'organizer') {
+  const job = latestMailJob(s.id, type);
+  if (!job) return '';
+  const parts = [`попыток: ${job.attempts}`];
+  if (job.sentAt) parts.push(`отправлено ${dayjs(job.sentAt).format('DD.MM.YYYY HH:mm')}`);
+  else if (job.status === 'pending') parts.push(`следующая попытка ${dayjs(job.nextAttemptAt).format('DD.MM.YYYY HH:mm')}`);
+  if (job.lastError) parts.push(`ошибка: ${job.lastError}`);
+  return ` <span class="muted">(${escapeHtml(parts.join('; '))})</span>`;
+}
+
+function promoteButton(s, p, back = '') {
+  return `<form class="inline" method="post" action="/admin/submissions/${encodeURIComponent(s.id)}/promote">` +
+    `<input type="hidden" name="idx" value="${p.idx}" />${back ? `<input type="hidden" name="back" value="${back}" />` : ''}` +
+    '<button class="btn" type="submit">В основной состав</button></form>';
+}
+
+// Лист ожидания турнира в порядке подачи и заполненность лимитов
+function getAdminWaitlistHtml(query) {
+  const tournaments = loadTournaments();
+  const tournament = findTournament(String(query.t || '')) || tournaments[0];
+  if (!tournament) return adminLayout('Лист ожидания', `${adminHeader('Лист ожидания')}<p class="muted">Турниры не настроены</p>`);
+  const submissions = activeSubmissions(tournament);
+  const used = capUsage(store.submissions, tournament);
+  const capTitle = (c) => [c.rank, c.birthYear && `${c.birthYear} г.р.`].filter(Boolean).join(', ');
+  const entries = submissions
+    .slice().sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .flatMap((s) => s.data.participants.filter((p) => p.waitlisted).map((p) => ({ s, p })));
+
+  return adminLayout('Лист ожидания', `
+    ${adminHeader('Лист ожидания')}
+    ${query.msg ? `<div class="msg">${escapeHtml(query.msg)}</div>` : ''}
+    <form class="filters" method="get" action="/admin/waitlist">
+      <select name="t">${tournaments.map((t) => `<option value="${escapeHtml(t.slug)}"${t.slug === tournament.slug ? ' selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}</select>
+      <button class="btn" type="submit">Показать</button>
+    </form>
+    <h2>Лимиты</h2>
+    ${tournament.capacity.length ? `<table>
+      <thead><tr><th>Категория</th><th>Лимит</th><th>Занято</th><th>Свободно</th></tr></thead>
+      <tbody>${tournament.capacity.map((c, i) => `<tr><td>${escapeHtml(capTitle(c))}</td><td>${c.limit}</td><td>${used[i]}</td><td>${Math.max(0, c.limit - used[i])}</td></tr>`).join('')}</tbody>
+    </table>` : '<p class="muted">Для турнира лимиты не заданы</p>'}
+    <h2>Ожидают (${entries.length})</h2>
+    <p class="muted">Порядок — по времени подачи заявки. Перевод в основной состав возможен и сверх лимита; клубу уходит новое подтверждение.</p>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>Подана</th><th>Клуб</th><th>ФИО гимнастки</th><th>Год рождения</th><th>Выступает разряд</th><th></th></tr></thead>
+        <tbody>${entries.map(({ s, p }) => `<tr>
+          <td><a href="/admin/submissions/${encodeURIComponent(s.id)}">${escapeHtml(dayjs(s.createdAt).format('DD.MM.YYYY HH:mm'))}</a></td>
+          <td>${escapeHtml(s.data.club)}</td><td>${escapeHtml(p.name)}</td><td>${escapeHtml(p.birthYear)}</td><td>${escapeHtml(p.performingRank)}</td>
+          <td>${promoteButton(s, p, 'waitlist')}</td>
+        </tr>`).join('') || '<tr><td colspan="6" class="muted">Лист ожидания пуст</td></tr>'}</tbody>
+      </table>
+    </div>`);
+}
+
+// Все совпадения по турниру: повторные заявки клубов и гимнастки, заявленные дважды
+function getAdminConflictsHtml(query) {
+  const tournaments = loadTournaments();
+  const tournament = findTournament(String(query.t || '')) || tournaments[0];
+  if (!tournament) return adminLayout('Совпадения', `${adminHeader('Совпадения')}<p class="muted">Турниры не настроены</p>`);
+  const submissions = activeSubmissions(tournament);
+  const link = (x) => `<a href="/admin/submissions/${encodeURIComponent(x.id)}">«${escapeHtml(x.data.club)}» от ${escapeHtml(dayjs(x.createdAt).format('DD.MM.YYYY HH:mm'))}</a>`;
+  // каждую пару показываем один раз: у более поздней заявки
+  const duplicates = [];
+  const gymnasts = new Map();
+  submissions.forEach((s) => {
+    const c = findConflicts(s.data, tournament, s.id);
+    c.duplicates.filter((x) => x.createdAt < s.createdAt).forEach((x) => duplicates.push({ s, x }));
+    c.gymnasts.forEach((g) => {
+      const key = gymnastKey(g);
+      if (!gymnasts.has(key)) gymnasts.set(key, { name: g.name, birthYear: parseBirthYear(g.birthYear), submissions: new Set() });
+      gymnasts.get(key).submissions.add(s);
+      g.submissions.forEach((x) => gymnasts.get(key).submissions.add(x));
+    });
+  });
+
+  return adminLayout('Совпадения', `
+    ${adminHeader('Совпадения')}
+    <form class="filters" method="get" action="/admin/conflicts">
+      <select name="t">${tournaments.map((t) => `<option value="${escapeHtml(t.slug)}"${t.slug === tournament.slug ? ' selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}</select>
+      <button class="btn" type="submit">Показать</button>
+    </form>
+    <p class="muted">Учитываются только действующие заявки. Объединить или заменить прежнюю заявку можно на странице более поздней.</p>
+    <h2>Повторные заявки (${duplicates.length})</h2>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>Поздняя заявка</th><th>Прежняя заявка</th><th>Контакты</th></tr></thead>
+        <tbody>${duplicates.map(({ s, x }) => `<tr><td>${link(s)}</td><td>${link(x)}</td><td>${escapeHtml(s.data.contacts)}</td></tr>`).join('') ||
+          '<tr><td colspan="3" class="muted">Не найдено</td></tr>'}</tbody>
+      </table>
+    </div>
+    <h2>Гимнастки в нескольких заявках (${gymnasts.size})</h2>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>ФИО гимнастки</th><th>Год рождения</th><th>Заявки</th></tr></thead>
+        <tbody>${[...gymnasts.values()].map((g) => `<tr><td>${escapeHtml(g.name)}</td><td>${g.birthYear}</td><td>${[...g.submissions].map(link).join('<br>')}</td></tr>`).join('') ||
+          '<tr><td colspan="3" class="muted">Не найдено</td></tr>'}</tbody>
+      </table>
+    </div>`);
+}
+
+function getAdminReportsHtml() {
+  const tournaments = loadTournaments();
+  const seed = crypto.randomInt(1, 1000000);
+  return adminLayout('Отчёты', `
+    ${adminHeader('Отчёты')}
+    <h2>Стартовые протоколы, судьи и клубы</h2>
+    <p class="muted">Участницы группируются по «Выступает разряд» и году рождения. Отозванные и отклонённые заявки не учитываются.
+      При жеребьёвке порядок определяется ключом: тот же ключ даёт тот же порядок.</p>
+    <form class="filters" method="get" action="/admin/reports/start-lists.docx">
+      <select name="t">${tournaments.map((t) => `<option value="${escapeHtml(t.slug)}"${t.default ? ' selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}</select>
+      <label><input type="checkbox" name="shuffle" value="1" /> жеребьёвка</label>
+      <input name="seed" value="${seed}" size="8" title="Ключ жеребьёвки" />
+      <button class="btn" type="submit">Скачать .docx</button>
+      <button class="btn" type="submit" formaction="/admin/reports/start-lists.xlsx">Скачать .xlsx</button>
+    </form>
+    <h2>Судейская коллегия</h2>
+    <p class="muted">Все судьи из заявок по категориям и проверка нормы «один судья на N гимнасток» для каждого клуба
+      (гимнастки из листа ожидания не считаются, участницы групп — считаются). Пустое N — значение judging.gymnastsPerJudge из настроек турнира.</p>
+    <form class="filters" method="get" action="/admin/reports/judges.docx">
+      <select name="t">${tournaments.map((t) => `<option value="${escapeHtml(t.slug)}"${t.default ? ' selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}</select>
+      <label>1 судья на <input name="perJudge" type="number" min="1" size="4" placeholder="N" /> гимнасток</label>
+      <button class="btn" type="submit">Скачать .docx</button>
+      <button class="btn" type="submit" formaction="/admin/reports/judges.xlsx">Скачать .xlsx</button>
+    </form>`);
+}
+
+function getAdminDetailHtml(s, msg) {
+  const d = s.data;
+  const t = submissionTournament(s);
+  const base = `/admin/submissions/${encodeURIComponent(s.id)}`;
+  const info = [
+    ['Турнир', `${t.name} (${tournamentPlaceLine(t)})`],
+    ['Клуб/школа', d.club], ['Город', d.city], ['Контакты', d.contacts], ['Эл. почта', d.email], ['Тренер', d.coach],
+    ['Судьи', judgesText(d.judges)],
+    ['Язык заявки', `${normalizeLang(d.lang).toUpperCase()} — на нём клуб получает подтверждение и счёт`],
+    ['Подана', dayjs(s.createdAt).format('DD.MM.YYYY HH:mm')],
+    ['Изменена', `${dayjs(s.updatedAt).format('DD.MM.YYYY HH:mm')} (версия ${s.revision || 1})`],
+    ['ID', s.id],
+  ];
+  const statusButtons = MANUAL_STATUSES
+    .filter((st) => st !== (s.status || 'submitted'))
+    .map((st) => `<form class="inline" method="post" action="${base}/status"><input type="hidden" name="status" value="${st}" />` +
+      `<button class="btn" type="submit">${escapeHtml(SUBMISSION_STATUSES[st])}</button></form>`).join('');
+  const fee = submissionFee(s);
+  const paymentButtons = Object.keys(PAYMENT_STATUSES)
+    .filter((st) => st !== paymentStatus(s))
+    .map((st) => `<form class="inline" method="post" action="${base}/payment"><input type="hidden" name="status" value="${st}" />` +
+      `<button class="btn" type="submit">${escapeHtml(PAYMENT_STATUSES[st])}</button></form>`).join('');
+  const money = (n) => escapeHtml(formatMoney(n, fee.currency));
+  const conflicts = isActive(s) ? findConflicts(d, t, s.id) : { duplicates: [], gymnasts: [] };
+  const link = (x) => `<a href="/admin/submissions/${encodeURIComponent(x.id)}">«${escapeHtml(x.data.club)}» от ${escapeHtml(dayjs(x.createdAt).format('DD.MM.YYYY HH:mm'))}</a>`;
+  const replaceForms = (x) => ['merge', 'supersede'].map((action) =>
+    `<form class="inline" method="post" action="${base}/${action}"><input type="hidden" name="other" value="${escapeHtml(x.id)}" />` +
+    `<button class="btn" type="submit">${action === 'merge' ? 'Объединить с этой' : 'Заменить этой'}</button></form>`).join(' ');
+
+  return adminLayout(`Заявка: ${d.club}`, `
+    ${adminHeader(`Заявка: ${d.club || 'без названия'}`)}
+    <p><a href="/admin">← Все заявки</a></p>
+    ${msg ? `<div class="msg">${escapeHtml(msg)}</div>` : ''}
+    <p>Статус: ${statusLabel(s)}${s.supersededBy ? ` — <a href="/admin/submissions/${encodeURIComponent(s.supersededBy)}">новая заявка</a>` : ''}</p>
+    ${conflicts.duplicates.length || conflicts.gymnasts.length ? `<div class="error">
+      ${conflicts.duplicates.map((x) => `<p>Возможный повтор: ${link(x)} — тот же клуб и контакты. ${replaceForms(x)}</p>`).join('')}
+      ${conflicts.gymnasts.map((g) => `<p>${escapeHtml(g.name)} (${escapeHtml(g.birthYear)}) есть также в заявках: ${g.submissions.map(link).join(', ')}</p>`).join('')}
+    </div>` : ''}
+    <p>Письмо организаторам: ${mailLabel(s)}${mailDetails(s)}</p>
+    <p>Подтверждение клубу${clubEmail(d) ? ` (${escapeHtml(clubEmail(d))})` : ''}: ${mailLabel(s, 'confirmation')}${mailDetails(s, 'confirmation')}</p>
+    <div class="actions">
+      <a class="btn" href="${base}/docx">Скачать .docx</a>
+      <a class="btn" href="${base}/pdf">Скачать PDF</a>
+      <form class="inline" method="post" action="${base}/resend"><button class="btn" type="submit">Отправить письмо повторно</button></form>
+      ${clubEmail(d) ? `<form class="inline" method="post" action="${base}/resend"><input type="hidden" name="type" value="confirmation" /><button class="btn" type="submit">Повторить подтверждение клубу</button></form>` : ''}
+      ${fee ? `<a class="btn" href="${base}/invoice.docx">Скачать счёт</a>` : ''}
+      ${statusButtons}
+    </div>
+    <table>${info.map(([k, v]) => `<tr><th style="width:200px">${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join('')}</table>
+    <h2>Участницы (${d.participants.length})</h2>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>№</th><th>ФИО гимнастки</th><th>Год рождения</th><th>Имеет разряд</th><th>Выступает разряд</th><th>Виза врача</th><th>Состав</th></tr></thead>
+        <tbody>${d.participants.map((p) => `<tr><td>${p.idx}</td><td>${escapeHtml(p.name)}</td><td>${escapeHtml(p.birthYear)}</td>` +
+          `<td>${escapeHtml(p.hasRank)}</td><td>${escapeHtml(p.performingRank)}</td><td>${escapeHtml(p.medicalVisa)}</td>` +
+          `<td>${p.waitlisted ? `<span class="mail-pending">Лист ожидания</span> ${promoteButton(s, p)}` : 'Основной'}</td></tr>`).join('')}</tbody>
+      </table>
+    </div>
+    ${(d.groups || []).length ? `<h2>Группы (${d.groups.length})</h2>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>№</th><th>Название группы</th><th>Выступает разряд</th><th>Предмет</th><th>Состав</th></tr></thead>
+        <tbody>${d.groups.map((g) => `<tr><td>${g.idx}</td><td>${escapeHtml(g.name)}</td><td>${escapeHtml(g.performingRank)}</td>` +
+          `<td>${escapeHtml(g.apparatus)}</td><td>${escapeHtml(groupMembersText(g)).replace(/\n/g, '<br>')}</td></tr>`).join('')}</tbody>
+      </table>
+    </div>` : ''}
+    ${fee ? `<h2>Взнос — счёт № ${invoiceNumber(s)}</h2>
+    <p>Оплата: ${paymentLabel(s)}${s.payment && s.payment.paidAt ? ` <span class="muted">(отмечено ${escapeHtml(dayjs(s.payment.paidAt).format('DD.MM.YYYY HH:mm'))})</span>` : ''}</p>
+    <div class="actions">${paymentButtons}</div>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>Наименование</th><th>Кол-во</th><th>Цена</th><th>Сумма</th></tr></thead>
+        <tbody>${fee.lines.map((l) => `<tr><td>${escapeHtml(l.title)}</td><td>${l.count}</td><td>${money(l.price)}</td><td>${money(l.amount)}</td></tr>`).join('')}
+          ${fee.discount ? `<tr><td colspan="3">Скидка клуба ${fee.discount.percent}%</td><td>−${money(fee.discount.amount)}</td></tr>` : ''}
+          <tr><th colspan="3">Итого к оплате</th><th>${money(fee.total)}</th></tr></tbody>
+      </table>
+    </div>` : ''}`);
+}
+
+// ------------------------ Dev mail pages ------------------------
+function getDevMailListHtml(list) {
+  return adminLayout('Письма', `
+    <header><h1>Письма (${escapeHtml(MAIL_TRANSPORT)})</h1></header>
+    <p class="muted">Письма не отправляются, а сохраняются в ${escapeHtml(MAIL_DIR)}. Страница доступна только вне production.</p>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>Дата</th><th>Кому</th><th>Тема</th><th>Вложения</th></tr></thead>
+        <tbody>${list.map((m) => `<tr>
+          <td>${escapeHtml(m.date ? dayjs(m.date).format('DD.MM.YYYY HH:mm:ss') : '')}</td>
+          <td>${escapeHtml(m.to)}</td>
+          <td><a href="/dev/mail/${encodeURIComponent(m.id)}">${escapeHtml(m.subject || '(без темы)')}</a></td>
+          <td>${m.attachments.map((a, i) => `<a href="/dev/mail/${encodeURIComponent(m.id)}/attachments/${i}">${escapeHtml(a.filename)}</a>`).join('<br>')}</td>
+        </tr>`).join('') || '<tr><td colspan="4" class="muted">Писем пока нет</td></tr>'}</tbody>
+      </table>
+    </div>`);
+}
+
+function getDevMailMessageHtml(m) {
+  const rows = [['Дата', m.date ? dayjs(m.date).format('DD.MM.YYYY HH:mm:ss') : ''], ['От', m.from], ['Кому', m.to], ['Тема', m.subject]];
+  return adminLayout(m.subject || 'Письмо', `
+    <header><h1>${escapeHtml(m.subject || '(без темы)')}</h1><nav><a class="btn" href="/dev/mail">Все письма</a></nav></header>
+    <table>${rows.map(([k, v]) => `<tr><th>${k}</th><td>${escapeHtml(v)}</td></tr>`).join('')}</table>
+    ${m.attachments.length ? `<h2>Вложения</h2><div class="actions">${m.attachments.map((a, i) => `<a class="btn" href="/dev/mail/${encodeURIComponent(m.id)}/attachments/${i}">${escapeHtml(a.filename)}</a>`).join('')}</div>` : ''}
+    ${m.html ? `<h2>HTML</h2><iframe sandbox src="/dev/mail/${encodeURIComponent(m.id)}/html" style="width:100%;height:480px;border:1px solid #ddd;"></iframe>` : ''}
+    ${m.text ? `<h2>Текст</h2><pre style="white-space:pre-wrap;">${escapeHtml(m.text)}</pre>` : ''}`);
+}
+
+// ------------------------ Start ------------------------
+// В самом конце файла: к этому моменту объявлены все константы модуля
+const PORT = process.env.PORT || 3000;
+initStore()
+  .then(initDrafts)
+  .then(() => {
+    startOutbox();
+    app.listen(PORT, () => console.log(`Running on http://localhost:${PORT}`));
+  })
+  .catch((err) => { console.error('Failed to open submission store:', err); process.exit(1); });